@@ -1,27 +1,163 @@
 // assets/app.js
 // TKTrading Dashboard (static)
 // - loads data/manifest.json -> latest.json -> archive.json
-// - views: candidates active/edge, trade plan, position plan
-// - ranking dot + tooltip based on stats.score thresholds
-// - trade gates: preset dropdown + only-passes toggle
+// - tables: loadTable() reads JSON/CSV/Parquet (parquet.js) into row objects
+// - archive time-travel: date dropdown over latest.archives (or dir listing)
+// - views: candidates active/edge, trade plan, position plan, changes (day-over-day diff),
+//   rankings (full per-universe backtest table from rankings_dir),
+//   strategies (latest of every manifest strategy side by side)
+// - reliability: Wilson win rate interval, sample-size shrunk score (column, gate field, ranking basis), tier badge
+// - ranking dot + tooltip: switchable basis (score / total_R / ExpR / universe percentile),
+//   band cuts per strategy from manifest or meta.json "ranking", legend next to the select
+// - trade gates: preset dropdown + only-passes toggle; gate editor for own min/max rules (localStorage)
 // - sorting: click headers to sort asc/desc; numeric aware; default per view
+// - deep links: full UI state in location.hash, back/forward steps through changes
+// - detail drawer: click a row -> all record fields, stats, signal, overlay, archive history
+// - events overlay: latest.paths.overlay (JSON/CSV) merged by universe+symbol, badges + hold-window gate field
+// - position sizer: recompute shares/cost/risk/fee for the visible rows from own account settings
+// - EDGE check: today's open vs. max_allowed_open per row (typed or pasted), signal age filter, RR from the real entry
+// - watchlist: star, decision status, workflow steps and notes per strategy+symbol (localStorage)
+// - trade journal: realized R vs. backtest stats at entry, equity curve, breakdowns (localStorage)
+// - exposure: cost/risk/fees per universe + currency, EUR/USD base conversion, limit warnings
+// - charts: SVG scatter (linked to row selection), universe gate breakdown, histograms
+// - filter query: field comparisons, lists, negation + plain substring words in #search
+// - column chooser: show/hide/reorder any record field or stats.* per strategy+view
+// - data health: latest/archive checked against meta.json schema on every load
+// - export: rendered table as CSV/JSON/TSV (clipboard) or broker order list
+// - auto-refresh: poll latest.json of every strategy (interval, paused in hidden tabs), banner with
+//   trade plan +/- and state-keeping reload, optional browser notification
+// - offline: sw.js caches shell + seen data (network first); #meta shows live vs. cached + age
+// - performance: cached derived values/gates, debounced + incremental filter, virtualized tbody, #perf timing
+
+// url -> { cached, fetched } as reported by sw.js (cached answers only when offline)
+const DATA_SOURCES = new Map();
+
+function noteSource(url, res) {
+  DATA_SOURCES.set(url, {
+    cached: res.headers.get("x-tkd-source") === "cache",
+    fetched: res.headers.get("x-tkd-fetched"),
+  });
+}
 
 async function fetchText(url) {
   const res = await fetch(url, { cache: "no-store" });
   if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+  noteSource(url, res);
   return await res.text();
 }
 
+async function fetchArrayBuffer(url) {
+  const res = await fetch(url, { cache: "no-store" });
+  if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+  noteSource(url, res);
+  return await res.arrayBuffer();
+}
+
+// pandas exports can leak bare NaN/Infinity tokens (invalid JSON) -> null
+function sanitizeJSONText(txt) {
+  return txt.replace(/([:\[,]\s*)-?(?:NaN|Infinity)(?=\s*[,\]}])/g, "$1null");
+}
+
+// urls that only parsed after NaN/Infinity -> null (reported by the data health check)
+const SANITIZED_JSON = new Set();
+
 async function loadJSON(url) {
   const txt = await fetchText(url);
   try {
     return JSON.parse(txt);
   } catch (e) {
+    try {
+      const obj = JSON.parse(sanitizeJSONText(txt));
+      SANITIZED_JSON.add(url);
+      return obj;
+    } catch {
+      // fall through: report the original parse error
+    }
     const head = txt.slice(0, 400).replace(/\s+/g, " ").trim();
     throw new Error(`JSON parse failed for ${url}: ${e.message}. Head: ${head}`);
   }
 }
 
+// RFC4180-ish: quoted fields, "" escapes, CRLF. Values stay strings (toNum does the rest).
+function parseCSV(txt) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < txt.length; i++) {
+    const c = txt[i];
+    if (quoted) {
+      if (c === '"') {
+        if (txt[i + 1] === '"') { field += '"'; i++; }
+        else quoted = false;
+      } else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && txt[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += c;
+  }
+  if (quoted) throw new Error("unterminated quoted field");
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const header = (rows.shift() || []).map((h, i) => (i === 0 ? h.replace(/^\uFEFF/, "") : h).trim());
+  return rows
+    .filter(r => r.length > 1 || r[0] !== "")
+    .map(r => Object.fromEntries(header.map((h, i) => [h, r[i] ?? ""])));
+}
+
+async function loadCSV(url) {
+  const txt = await fetchText(url);
+  try {
+    return parseCSV(txt);
+  } catch (e) {
+    const head = txt.slice(0, 400).replace(/\s+/g, " ").trim();
+    throw new Error(`CSV parse failed for ${url}: ${e.message}. Head: ${head}`);
+  }
+}
+
+async function loadParquet(url) {
+  const buf = await fetchArrayBuffer(url);
+  try {
+    return parseParquet(buf);
+  } catch (e) {
+    // same head snippet as JSON/CSV (helps when a server answers with an HTML page)
+    const head = new TextDecoder("utf-8")
+      .decode(new Uint8Array(buf, 0, Math.min(400, buf.byteLength)))
+      .replace(/[^\x20-\x7e\u00a0-\uffff]+/g, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+    throw new Error(`Parquet parse failed for ${url}: ${e.message}. Head: ${head}`);
+  }
+}
+
+const TABLE_FORMATS = ["json", "csv", "parquet"];
+
+function tableFormat(url, hint) {
+  if (hint && TABLE_FORMATS.includes(hint)) return hint;
+  const ext = String(url).split(/[?#]/)[0].split(".").pop().toLowerCase();
+  return TABLE_FORMATS.includes(ext) ? ext : "json";
+}
+
+// rows as plain objects regardless of format; hint overrides the extension
+async function loadTable(url, hint) {
+  const format = tableFormat(url, hint);
+  if (format === "csv") return await loadCSV(url);
+  if (format === "parquet") return await loadParquet(url);
+  return await loadJSON(url);
+}
+
 function fmt(x, digits = 2) {
   if (x === null || x === undefined || Number.isNaN(x)) return "–";
   if (typeof x === "number") return x.toFixed(digits);
@@ -43,13 +179,184 @@ function clearEl(el) {
   while (el && el.firstChild) el.removeChild(el.firstChild);
 }
 
-function applyTextFilter(rows, q) {
-  if (!q) return rows;
-  const s = q.toLowerCase();
-  return rows.filter(r =>
-    String(r.symbol || "").toLowerCase().includes(s) ||
-    String(r.universe || "").toLowerCase().includes(s)
-  );
+function downloadText(filename, text, mime = "text/plain") {
+  const blob = new Blob([text], { type: `${mime};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function readFileText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result));
+    reader.onerror = () => reject(reader.error || new Error(`Datei nicht lesbar: ${file.name}`));
+    reader.readAsText(file);
+  });
+}
+
+// localStorage can throw (private mode, quota) -> degrade to defaults
+function storageGet(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+function storageSet(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// ---------------------------------------------------------
+// Filter query (#search)
+// universe:dax,mdax rr>=2.5 -symbol:TSLA win_rate>0.5 aapl
+// field terms: ":" / "=" (any of comma list), "!=", > >= < <=; "-" negates;
+// plain words stay a substring match on symbol/universe
+// ---------------------------------------------------------
+const QUERY_TOKEN_RE = /-?(?:[^\s"]+|"[^"]*"?)+/g;
+const QUERY_TERM_RE = /^(-?)([A-Za-z_][\w.]*)(>=|<=|!=|>|<|=|:)(.*)$/;
+
+function matchesText(row, s) {
+  return String(row.symbol || "").toLowerCase().includes(s) ||
+    String(row.universe || "").toLowerCase().includes(s);
+}
+
+// fields: Map lower-case name -> renderer/record key (see queryFields); without it names pass unchecked
+function parseQuery(q, fields) {
+  const terms = [];
+  const errors = [];
+  (String(q || "").match(QUERY_TOKEN_RE) || []).forEach(tok => {
+    const m = tok.match(QUERY_TERM_RE);
+    if (!m) {
+      const neg = tok.length > 1 && tok.startsWith("-");
+      const text = (neg ? tok.slice(1) : tok).replace(/"/g, "").toLowerCase();
+      if (text) terms.push({ kind: "text", neg, text });
+      return;
+    }
+    const [, minus, name] = m;
+    let [, , , op, rawVal] = m;
+    const field = fields ? fields.get(name.toLowerCase()) : name;
+    if (!field) {
+      errors.push(`unbekanntes Feld „${name}“`);
+      return;
+    }
+    const values = rawVal.replace(/"/g, "").split(",").map(v => v.trim()).filter(Boolean);
+    if (!values.length) {
+      errors.push(`Wert fehlt in „${tok}“`);
+      return;
+    }
+    let neg = !!minus;
+    if (op === "!=") {
+      neg = !neg;
+      op = "=";
+    }
+    if (op === ":") op = "=";
+    if (op !== "=" && (values.length !== 1 || toNum(values[0]) === null)) {
+      errors.push(`„${op}“ braucht eine Zahl: „${tok}“`);
+      return;
+    }
+    terms.push({ kind: "field", neg, field, op, values: values.map(v => v.toLowerCase()), nums: values.map(toNum) });
+  });
+  return { terms, errors };
+}
+
+function queryValue(row, field, cfg) {
+  const raw = cellValue(row, field, cfg);
+  return raw === undefined || raw === "" || raw === "–" ? null : raw;
+}
+
+function matchQueryTerm(row, t, cfg) {
+  let ok;
+  if (t.kind === "text") ok = matchesText(row, t.text);
+  else {
+    const raw = queryValue(row, t.field, cfg);
+    const n = toNum(raw);
+    if (raw === null) ok = false;
+    else if (t.op === "=") {
+      ok = t.values.some((v, i) => (t.nums[i] !== null && n !== null
+        ? Math.abs(n - t.nums[i]) < 1e-9
+        : String(raw).toLowerCase() === v));
+    } else if (n === null) ok = false;
+    else if (t.op === ">") ok = n > t.nums[0];
+    else if (t.op === ">=") ok = n >= t.nums[0];
+    else if (t.op === "<") ok = n < t.nums[0];
+    else ok = n <= t.nums[0];
+  }
+  return t.neg ? !ok : ok;
+}
+
+function applyQuery(rows, query, cfg) {
+  if (!query?.terms.length) return rows;
+  return rows.filter(r => query.terms.every(t => matchQueryTerm(r, t, cfg)));
+}
+
+// true when every row matching `next` also matches `prev`: same terms in
+// front, terms appended, or a plain word typed further
+function queryNarrows(prev, next) {
+  if (prev.length > next.length) return false;
+  return prev.every((t, i) => {
+    const n = next[i];
+    if (t.kind === "text" && n.kind === "text" && !t.neg && !n.neg) return n.text.includes(t.text);
+    return JSON.stringify(t) === JSON.stringify(n);
+  });
+}
+
+// applyQuery that filters its previous result while the query only narrows;
+// scope: identity of whatever defines the values (rows + column pool)
+function incrementalQuery() {
+  let last = null;
+  return (rows, query, cfg, scope) => {
+    const reuse = last && last.rows === rows && last.scope === scope && queryNarrows(last.terms, query.terms);
+    const out = applyQuery(reuse ? last.out : rows, query, cfg);
+    last = { rows, scope, terms: query.terms, out };
+    return out;
+  };
+}
+
+// names usable in the query for a column pool: column keys, bare stats names, aliases
+function queryFields(pool) {
+  const map = new Map();
+  const names = [];
+  const add = (name, key) => {
+    const lc = name.toLowerCase();
+    if (map.has(lc)) return;
+    map.set(lc, key);
+    names.push(name);
+  };
+  ["universe", "symbol"].forEach(k => add(k, k));
+  pool.cols.forEach(c => add(c.key, c.key));
+  pool.cols.forEach(c => { if (c.key.startsWith("stats.")) add(c.key.slice(6), c.key); });
+  Object.entries(COLUMN_ALIASES).forEach(([alias, key]) => { if (map.has(key.toLowerCase())) add(alias, key); });
+  return { map, names };
+}
+
+// datalist entries completing the field name under the cursor (end of input)
+function fillQuerySuggestions(datalist, q, names) {
+  clearEl(datalist);
+  const m = String(q || "").match(/(^|\s)-?([A-Za-z_][\w.]*)$/);
+  if (!m) return;
+  const prefix = m[2].toLowerCase();
+  const head = q.slice(0, q.length - m[2].length);
+  names
+    .filter(n => n.toLowerCase().startsWith(prefix) && n.toLowerCase() !== prefix)
+    .slice(0, 15)
+    .forEach(n => {
+      const opt = document.createElement("option");
+      opt.value = `${head}${n}`;
+      datalist.appendChild(opt);
+    });
 }
 
 function buildEventsCell(overlay) {
@@ -61,14 +368,19 @@ function buildEventsCell(overlay) {
   return parts.length ? parts.join(" — ") : "–";
 }
 
+const NORMALIZED_STATS = new WeakMap(); // stats object -> normalized (records are read-only)
+
 function normalizeStats(stats) {
   if (!stats) return null;
-  return {
+  if (typeof stats === "object" && NORMALIZED_STATS.has(stats)) return NORMALIZED_STATS.get(stats);
+  const out = {
     trades: toNum(stats.trades),
     score: toNum(stats.score),
     meanR: toNum(stats.mean_R ?? stats.meanR),
     pf: toNum(stats.pf ?? stats.profit_factor),
   };
+  if (typeof stats === "object") NORMALIZED_STATS.set(stats, out);
+  return out;
 }
 
 function computeRR(row) {
@@ -83,175 +395,1361 @@ function computeRR(row) {
   return (tp - buy) / risk;
 }
 
-function pickRowsFromArchive(archive, view) {
-  const data = archive?.data || {};
-  if (view === "active") return data.candidates_active || [];
-  if (view === "edge") return data.candidates_edge || [];
-  if (view === "trade_plan") return data.trade_plan || [];
-  if (view === "position_plan") return data.position_plan || [];
-  return [];
+// ---------------------------------------------------------
+// Events overlay (latest.paths.overlay, JSON or CSV: one entry per event)
+// { universe?, symbol, date, type: earnings|dividend|rebalance|news, title? }
+// merged onto the rows by universe+symbol; no universe = every universe
+// ---------------------------------------------------------
+const OVERLAY_TYPES = {
+  earnings: { badge: "E", label: "Earnings" },
+  dividend: { badge: "D", label: "Dividende" },
+  rebalance: { badge: "R", label: "Index-Rebalancing" },
+  event: { badge: "!", label: "Termin" },
+};
+const OVERLAY_TYPE_ALIASES = {
+  er: "earnings", ergebnis: "earnings", quartalszahlen: "earnings",
+  div: "dividend", "ex-div": "dividend", dividende: "dividend",
+  index: "rebalance", rebal: "rebalance",
+  headline: "news",
+};
+const OVERLAY_LISTS = ["candidates_active", "candidates_edge", "trade_plan", "position_plan"];
+const OVERLAY_MAX_BADGES = 3;
+
+function overlayType(raw) {
+  const t = String(raw || "").trim().toLowerCase();
+  const type = OVERLAY_TYPE_ALIASES[t] || t;
+  return type === "news" || OVERLAY_TYPES[type] ? type : "event";
 }
 
-function buildLinks(linksEl, latest) {
-  clearEl(linksEl);
+// raw: entry list or { events: [...] } -> { index: "universe:SYMBOL" -> entries, findings }
+function buildOverlayIndex(raw, path) {
+  const list = Array.isArray(raw) ? raw : raw?.events || raw?.items || [];
+  const index = new Map();
+  let skipped = 0;
+  list.forEach(x => {
+    const symbol = String(x?.symbol || "").trim().toUpperCase();
+    const type = overlayType(x?.type);
+    const date = String(x?.date || "").slice(0, 10);
+    if (!symbol || (type !== "news" && !DATE_RE.test(date))) {
+      skipped++;
+      return;
+    }
+    const key = `${String(x.universe || "*").trim().toLowerCase()}:${symbol}`;
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push({ date: DATE_RE.test(date) ? date : null, type, title: String(x.title ?? x.headline ?? "").trim() });
+  });
+  index.forEach(items => items.sort((a, b) => String(a.date).localeCompare(String(b.date))));
 
-  const paths = latest?.paths?.csv || {};
+  const findings = [{ level: "info", text: `Overlay ${path}: ${list.length - skipped} Einträge für ${index.size} Symbol(e).` }];
+  if (skipped) findings.push({ level: "warn", text: `Overlay: ${skipped} Einträge ohne Symbol oder Datum übersprungen.` });
+  return { index, findings };
+}
+
+function overlayEventText(item) {
+  const label = OVERLAY_TYPES[item.type]?.label || item.type;
+  return `${item.date} ${label}${item.title ? ` (${item.title})` : ""}`;
+}
+
+// record overlay (risk_flag/events/news) stays; dated entries land in overlay.items
+// rows without their own hold window (position_plan) borrow time_stop_bars from
+// the trade_plan/candidate row of the same universe+symbol(+mode)
+function holdBarsIndex(archive) {
+  const out = new Map();
+  ["candidates_edge", "candidates_active", "trade_plan"].forEach(list => {
+    (archive.data?.[list] || []).forEach(r => {
+      const bars = toNum(r.time_stop_bars ?? r.hold_bars ?? r.hold);
+      if (bars === null) return;
+      out.set(rowKey(r), bars);
+      out.set(`${r.universe ?? ""}|${r.symbol ?? ""}`.toLowerCase(), bars);
+    });
+  });
+  return out;
+}
+
+function withOverlay(row, index, holdBars) {
+  const sym = String(row.symbol || "").toUpperCase();
   const items = [
-    ["Candidates Active (CSV)", paths.candidates_active],
-    ["Candidates Edge (CSV)", paths.candidates_edge],
-    ["Trade Plan (CSV)", paths.trade_plan],
-    ["Position Plan (CSV)", paths.position_plan],
-    ["Archive (JSON)", latest?.paths?.archive],
-  ].filter(([, href]) => !!href);
+    ...(index.get(`${String(row.universe || "").toLowerCase()}:${sym}`) || []),
+    ...(index.get(`*:${sym}`) || []),
+  ];
+  const base = row.overlay && typeof row.overlay === "object" ? row.overlay : {};
+  const dated = items.filter(x => x.type !== "news").sort((a, b) => a.date.localeCompare(b.date));
+  const news = items.filter(x => x.type === "news").map(x => (x.date ? `${x.date} ${x.title}` : x.title));
+  return {
+    ...row,
+    overlay: {
+      ...base,
+      events: [...(Array.isArray(base.events) ? base.events : []), ...dated.map(overlayEventText)],
+      news: [...(Array.isArray(base.news) ? base.news : []), ...news],
+      items: dated,
+      hold_bars: holdBars?.get(rowKey(row)) ?? holdBars?.get(`${row.universe ?? ""}|${row.symbol ?? ""}`.toLowerCase()) ?? null,
+    },
+  };
+}
 
-  items.forEach(([label, href]) => {
-    const a = document.createElement("a");
-    a.href = href;
-    a.textContent = label;
-    a.target = "_blank";
-    a.rel = "noopener noreferrer";
-    linksEl.appendChild(a);
+// archive copy with merged rows (cached archives stay untouched)
+const OVERLAY_MERGED = new WeakMap(); // archive -> { index, out }
+
+function applyOverlay(archive, index) {
+  if (!archive || !index) return archive;
+  const hit = OVERLAY_MERGED.get(archive);
+  if (hit && hit.index === index) return hit.out;
+  const data = { ...archive.data };
+  const holdBars = holdBarsIndex(archive);
+  OVERLAY_LISTS.forEach(list => {
+    if (Array.isArray(data[list])) data[list] = data[list].map(r => withOverlay(r, index, holdBars));
+  });
+  const out = { ...archive, data };
+  OVERLAY_MERGED.set(archive, { index, out });
+  return out;
+}
+
+// scheduled events from entry_date until the time stop (trading days);
+// null when no overlay is loaded or the row has no window
+function holdWindowEvents(row) {
+  const items = row.overlay?.items;
+  if (!items) return null;
+  const start = String(row.entry_date || row.trade_date || "").slice(0, 10);
+  const bars = toNum(row.time_stop_bars ?? row.hold_bars ?? row.hold ?? row.overlay.hold_bars);
+  if (!DATE_RE.test(start) || bars === null) return null;
+  return items.filter(x => x.date >= start && tradingDaysBetween(start, x.date) < bars);
+}
+
+function eventBadges(row) {
+  const items = row.overlay?.items;
+  if (!items?.length) return null;
+  const start = String(row.entry_date || row.trade_date || "").slice(0, 10);
+  const upcoming = items.filter(x => !start || x.date >= start);
+  if (!upcoming.length) return null;
+  const inWindow = new Set(holdWindowEvents(row) || []);
+
+  const wrap = document.createElement("span");
+  wrap.className = "event-badges";
+  upcoming.slice(0, OVERLAY_MAX_BADGES).forEach(x => {
+    const b = document.createElement("span");
+    b.className = "event-badge" + (inWindow.has(x) ? " in-window" : "");
+    b.textContent = `${OVERLAY_TYPES[x.type]?.badge || "!"} ${x.date.slice(5)}`;
+    b.title = overlayEventText(x) + (inWindow.has(x) ? " — im Haltefenster" : "");
+    wrap.appendChild(b);
   });
+  if (upcoming.length > OVERLAY_MAX_BADGES) wrap.title = upcoming.map(overlayEventText).join("\n");
+  return wrap;
 }
 
 // ---------------------------------------------------------
-// Ampel (fixed thresholds as requested)
-// <0.5 red, 0.5-1.5 yellow, 1.5-3 green, >=3 strong green
+// Archive index + legacy normalization
 // ---------------------------------------------------------
-function scoreBand(score) {
-  if (score === null) return { cls: "rank-na", label: "Kein Ranking" };
-  if (score < 0.5) return { cls: "rank-red", label: "Score < 0.5 (rot)" };
-  if (score < 1.5) return { cls: "rank-yellow", label: "0.5–1.5 (gelb)" };
-  if (score < 3.0) return { cls: "rank-green", label: "1.5–3.0 (grün)" };
-  return { cls: "rank-strong", label: "≥ 3.0 (sehr grün)" };
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function archiveDir(latest) {
+  const p = latest?.paths?.archive || "";
+  const i = p.lastIndexOf("/");
+  return i >= 0 ? p.slice(0, i + 1) : "";
 }
 
-function tooltipText(row, gateInfo) {
-  const s = normalizeStats(row.stats);
-  const parts = [];
-  if (!s) {
-    parts.push("Kein Ranking verfügbar");
-  } else {
-    parts.push(`Score: ${s.score === null ? "–" : s.score.toFixed(3)}`);
-    parts.push(`Trades: ${s.trades === null ? "–" : String(Math.round(s.trades))}`);
-    parts.push(`meanR: ${s.meanR === null ? "–" : s.meanR.toFixed(3)}`);
-    parts.push(`PF: ${s.pf === null ? "–" : s.pf.toFixed(2)}`);
+function archivePathFor(latest, date) {
+  if (date === latest?.asof && latest?.paths?.archive) return latest.paths.archive;
+  return `${archiveDir(latest)}${date}.json`;
+}
+
+async function discoverArchiveDates(dir) {
+  // works with directory listings (python http.server, nginx autoindex);
+  // static hosts like GitHub Pages return 404 -> empty
+  try {
+    const html = await fetchText(dir);
+    const out = [];
+    const re = /href="(?:[^"]*\/)?(\d{4}-\d{2}-\d{2})\.json"/g;
+    let m;
+    while ((m = re.exec(html))) out.push(m[1]);
+    return out;
+  } catch {
+    return [];
   }
-  if (gateInfo && !gateInfo.pass) parts.push(`Gate FAIL: ${gateInfo.reasons.join(", ")}`);
-  return parts.join(" • ");
+}
+
+// Sorted desc (newest first). Sources:
+// 1) latest.archives (array of "YYYY-MM-DD"), written by the exporter
+// 2) directory listing of the archive folder (fallback)
+// latest.asof is always included.
+async function loadArchiveIndex(latest) {
+  let dates = Array.isArray(latest?.archives) ? latest.archives.slice() : [];
+  if (!dates.length) {
+    const dir = archiveDir(latest);
+    if (dir) dates = await discoverArchiveDates(dir);
+  }
+  if (latest?.asof) dates.push(latest.asof);
+  return [...new Set(dates.filter(d => DATE_RE.test(String(d))))].sort().reverse();
+}
+
+// Older exports (before 2026-01-13) used a flat layout:
+// { strategy_id, generated_utc, active: [...], edge: [...] }
+function normalizeArchive(raw) {
+  if (!raw || raw.data) return raw;
+  const withMode = (rows, mode) => (rows || []).map(r => (r.mode ? r : { ...r, mode }));
+  const data = {
+    candidates_active: withMode(raw.active || raw.candidates_active, "ACTIVE"),
+    candidates_edge: withMode(raw.edge || raw.candidates_edge, "EDGE"),
+    trade_plan: raw.trade_plan || [],
+    position_plan: raw.position_plan || [],
+  };
+  const counts = {};
+  Object.keys(data).forEach(k => { counts[k] = data[k].length; });
+  return {
+    strategy: raw.strategy ?? raw.strategy_id,
+    trend_suffix: raw.trend_suffix,
+    asof: raw.asof,
+    generated: raw.generated ?? raw.generated_utc,
+    counts,
+    data,
+    legacy: true,
+  };
+}
+
+function pickRowsFromArchive(archive, view) {
+  const data = archive?.data || {};
+  if (view === "active") return data.candidates_active || [];
+  if (view === "edge") return data.candidates_edge || [];
+  if (view === "trade_plan") return data.trade_plan || [];
+  if (view === "position_plan") return data.position_plan || [];
+  return [];
 }
 
 // ---------------------------------------------------------
-// Trade Gates (presets)
+// Data health (findings instead of silent failures)
+// level: error | warn | info
 // ---------------------------------------------------------
-function gatePreset(name) {
-  // You can tweak later. The point: explicit + easy to switch.
-  if (name === "conservative") return { tradesMin: 40, scoreMin: 1.5, pfMin: 1.30, meanRMin: 0.10 };
-  if (name === "balanced")     return { tradesMin: 25, scoreMin: 1.0, pfMin: 1.15, meanRMin: 0.05 };
-  if (name === "aggressive")   return { tradesMin: 20, scoreMin: 0.5, pfMin: 1.00, meanRMin: 0.00 };
-  return null; // off
+const HEALTH_STORAGE_KEY = "tkd.health.v1";
+const HEALTH_DEFAULT_MAX_LAG_DAYS = 1; // asof -> generated, in trading days (Mon–Fri)
+const HEALTH_LISTS = ["candidates_active", "candidates_edge", "trade_plan", "position_plan"];
+const NUMERIC_RECORD_FIELDS = [
+  "buy", "sl", "tp", "risk_R", "rr", "time_stop_bars", "score",
+  "signal_age_days", "signal_close", "max_allowed_open",
+  "shares", "fee_usd", "cost_usd", "risk_per_share", "risk_usd", "exp_profit_usd", "cash_after_usd",
+  "hold_days_min", "hold_days_max",
+];
+
+function tradingDaysBetween(fromIso, toIso) {
+  const from = new Date(`${String(fromIso).slice(0, 10)}T00:00:00Z`);
+  const to = new Date(`${String(toIso).slice(0, 10)}T00:00:00Z`);
+  if (isNaN(from) || isNaN(to)) return null;
+  let n = 0;
+  for (const d = new Date(from); d < to; ) {
+    d.setUTCDate(d.getUTCDate() + 1);
+    const wd = d.getUTCDay();
+    if (wd !== 0 && wd !== 6) n++;
+  }
+  return n;
 }
 
-function evalGate(row, preset) {
-  if (!preset) return { pass: true, reasons: [] };
+function loadHealthSettings() {
+  const stored = storageGet(HEALTH_STORAGE_KEY, {});
+  return { maxLagDays: null, ...(stored && typeof stored === "object" ? stored : {}) };
+}
 
-  const s = normalizeStats(row.stats);
-  const reasons = [];
+// own setting (health panel) > meta.json health.max_lag_days > default
+function healthMaxLag(meta, settings) {
+  const valid = v => v !== null && v >= 0;
+  const own = toNum(settings?.maxLagDays);
+  if (valid(own)) return own;
+  const fromMeta = toNum(meta?.health?.max_lag_days);
+  return valid(fromMeta) ? fromMeta : HEALTH_DEFAULT_MAX_LAG_DAYS;
+}
 
-  const trades = s?.trades ?? null;
-  const score  = s?.score ?? null;
-  const pf     = s?.pf ?? null;
-  const meanR  = s?.meanR ?? null;
+function isBadNumber(v) {
+  return v !== null && v !== undefined && (typeof v !== "number" || !Number.isFinite(v));
+}
+
+function checkDataHealth({ latest, meta, archive, archivePath, maxLag = HEALTH_DEFAULT_MAX_LAG_DAYS }) {
+  const out = [];
+  const add = (level, text) => out.push({ level, text });
+  const schema = meta?.schema;
+
+  if (!latest) {
+    add("error", "latest.json nicht geladen.");
+    return out;
+  }
+  if (!schema) add("info", "meta.json ohne schema – Schlüsselprüfung übersprungen.");
 
-  if (trades === null) reasons.push("no trades");
-  else if (trades < preset.tradesMin) reasons.push(`trades < ${preset.tradesMin}`);
+  (schema?.latest || []).forEach(k => {
+    if (latest[k] === undefined) add("warn", `latest.json: Schlüssel „${k}“ fehlt.`);
+  });
+  if (!archive) {
+    add("error", `Archiv nicht geladen${archivePath ? ` (${archivePath})` : ""}.`);
+    return out;
+  }
+  if (archive.legacy) add("info", `Archiv ${archive.asof ?? ""} im Legacy-Format (active/edge) – normalisiert.`);
+  (schema?.archive || []).forEach(k => {
+    if (archive[k] === undefined) add("warn", `Archiv: Schlüssel „${k}“ fehlt.`);
+  });
+  if (archivePath && SANITIZED_JSON.has(archivePath)) {
+    add("warn", "Archiv enthält NaN/Infinity – beim Laden als leer (null) gelesen.");
+  }
 
-  if (score === null) reasons.push("no score");
-  else if (score < preset.scoreMin) reasons.push(`score < ${preset.scoreMin}`);
+  // identity
+  [["strategy", "Strategie"], ["trend_suffix", "trend_suffix"]].forEach(([k, label]) => {
+    const vals = [["latest", latest[k]], ["Archiv", archive[k]], ["meta", meta?.[k]]]
+      .filter(([, v]) => v !== undefined && v !== null);
+    if (new Set(vals.map(([, v]) => v)).size > 1) {
+      add("warn", `${label} uneinheitlich: ${vals.map(([src, v]) => `${src}=${v}`).join(", ")}.`);
+    }
+  });
 
-  if (pf === null) reasons.push("no PF");
-  else if (pf < preset.pfMin) reasons.push(`PF < ${preset.pfMin}`);
+  // staleness
+  if (archive.asof && archive.generated) {
+    const lag = tradingDaysBetween(archive.asof, archive.generated);
+    if (lag !== null && lag > maxLag) {
+      add("warn", `asof ${archive.asof} liegt ${lag} Handelstage vor generated ${archive.generated} (max. ${maxLag}).`);
+    }
+  }
 
-  if (meanR === null) reasons.push("no meanR");
-  else if (meanR < preset.meanRMin) reasons.push(`meanR < ${preset.meanRMin}`);
+  // counts: latest (same asof only) vs archive vs actual rows
+  const data = archive.data || {};
+  const isLatest = archive.asof && archive.asof === latest.asof;
+  HEALTH_LISTS.forEach(list => {
+    const rows = data[list];
+    const n = Array.isArray(rows) ? rows.length : null;
+    const ac = archive.counts?.[list];
+    const lc = latest.counts?.[list];
+    if (n === null) {
+      if (ac || (isLatest && lc)) add("warn", `${list}: Liste fehlt im Archiv, counts nennt ${ac ?? lc}.`);
+      return;
+    }
+    if (ac !== undefined && ac !== n) add("warn", `${list}: counts=${ac}, aber ${n} Zeilen im Archiv.`);
+    if (isLatest && lc !== undefined && lc !== n) add("warn", `${list}: latest.counts=${lc}, aber ${n} Zeilen im Archiv.`);
+  });
 
-  return { pass: reasons.length === 0, reasons };
+  // records: stats null, non-numeric values
+  const statsFields = meta?.schema?.stats_fields || DEFAULT_STATS_FIELDS;
+  HEALTH_LISTS.forEach(list => {
+    const rows = data[list];
+    if (!Array.isArray(rows) || !rows.length) return;
+    const noStats = rows.filter(r => !r.stats).length;
+    if (noStats) add("info", `${list}: ${noStats} von ${rows.length} Zeilen ohne stats.`);
+
+    const bad = new Map(); // field -> [count, example]
+    const note = (field, r, v) => {
+      const e = bad.get(field) || [0, `${r.symbol ?? "?"}=${JSON.stringify(v)}`];
+      e[0]++;
+      bad.set(field, e);
+    };
+    rows.forEach(r => {
+      NUMERIC_RECORD_FIELDS.forEach(f => { if (isBadNumber(r[f])) note(f, r, r[f]); });
+      if (r.stats) statsFields.forEach(f => { if (isBadNumber(r.stats[f])) note(`stats.${f}`, r, r.stats[f]); });
+    });
+    bad.forEach(([count, example], field) => {
+      add("warn", `${list}: ${count}× nicht-numerisch in ${field} (z.B. ${example}).`);
+    });
+  });
+
+  return out;
+}
+
+const HEALTH_ICONS = { error: "⛔", warn: "⚠", info: "ℹ" };
+
+function renderHealth(listEl, btn, findings) {
+  clearEl(listEl);
+  const problems = findings.filter(f => f.level !== "info").length;
+  btn.textContent = problems ? `Daten ⚠ ${problems}` : "Daten ✓";
+  btn.classList.toggle("warn", problems > 0);
+  if (!findings.length) {
+    const li = document.createElement("li");
+    li.textContent = "Keine Auffälligkeiten.";
+    listEl.appendChild(li);
+    return;
+  }
+  findings.forEach(f => {
+    const li = document.createElement("li");
+    li.className = `health-${f.level}`;
+    li.textContent = `${HEALTH_ICONS[f.level] || ""} ${f.text}`;
+    listEl.appendChild(li);
+  });
 }
 
 // ---------------------------------------------------------
-// Sorting
+// Day-over-day diff (Changes view)
+// rows matched on universe+symbol+mode per list
 // ---------------------------------------------------------
-function valueForSort(row, key, cfg) {
-  const renderer = cfg.renderers?.[key];
-  const raw = renderer ? renderer(row) : row[key];
-
-  if (raw === null || raw === undefined || raw === "" || raw === "–") return { t: "na", v: null };
+const DIFF_LISTS = [
+  ["candidates_active", "Candidates Active"],
+  ["candidates_edge", "Candidates Edge"],
+  ["trade_plan", "Trade Plan"],
+  ["position_plan", "Position Plan"],
+];
 
-  const n = toNum(raw);
-  if (n !== null) return { t: "num", v: n };
+function rowKey(row) {
+  return `${row.universe ?? ""}|${row.symbol ?? ""}|${row.mode ?? ""}`.toLowerCase();
+}
 
-  return { t: "str", v: String(raw).toLowerCase() };
+function numChanged(a, b) {
+  if (a === null && b === null) return false;
+  if (a === null || b === null) return true;
+  return Math.abs(a - b) > 1e-6 * Math.max(1, Math.abs(a), Math.abs(b));
 }
 
-function sortRows(rows, sortState, cfg, tieBreak) {
-  if (!sortState?.key) return rows;
+function diffRow(cur, prev) {
+  const details = [];
+  const fields = [
+    ["Buy", r => toNum(r.buy)],
+    ["SL", r => toNum(r.sl)],
+    ["TP", r => toNum(r.tp)],
+    ["RR", r => computeRR(r)],
+  ];
+  fields.forEach(([label, get]) => {
+    const a = get(prev);
+    const b = get(cur);
+    if (numChanged(a, b)) details.push(`${label} ${fmt(a)} → ${fmt(b)}`);
+  });
 
-  const { key, dir } = sortState;
-  const mul = dir === "asc" ? 1 : -1;
+  // band move only counts when both days carry a score
+  const sa = normalizeStats(prev.stats)?.score ?? null;
+  const sb = normalizeStats(cur.stats)?.score ?? null;
+  if (sa !== null && sb !== null) {
+    const ba = scoreBand(sa);
+    const bb = scoreBand(sb);
+    if (ba.cls !== bb.cls) details.push(`Band ${ba.label} → ${bb.label}`);
+  }
+  return details;
+}
 
-  const out = rows.slice();
-  out.sort((a, b) => {
-    const va = valueForSort(a, key, cfg);
-    const vb = valueForSort(b, key, cfg);
+function diffArchives(cur, prev) {
+  const out = [];
+  DIFF_LISTS.forEach(([list, label]) => {
+    const curRows = cur?.data?.[list] || [];
+    const prevRows = prev?.data?.[list] || [];
+    const prevMap = new Map(prevRows.map(r => [rowKey(r), r]));
+    const curKeys = new Set();
 
-    // NA always last
-    if (va.t === "na" && vb.t === "na") return 0;
-    if (va.t === "na") return 1;
-    if (vb.t === "na") return -1;
+    curRows.forEach(r => {
+      const k = rowKey(r);
+      curKeys.add(k);
+      const p = prevMap.get(k);
+      if (!p) {
+        out.push({ ...r, list: label, change: "neu", details: "" });
+        return;
+      }
+      const details = diffRow(r, p);
+      if (details.length) out.push({ ...r, list: label, change: "geändert", details: details.join(" • "), prev: p });
+    });
 
-    // numeric before string
-    if (va.t !== vb.t) {
-      if (va.t === "num") return -1;
-      if (vb.t === "num") return 1;
-    }
+    prevRows.forEach(r => {
+      if (!curKeys.has(rowKey(r))) out.push({ ...r, list: label, change: "entfernt", details: "" });
+    });
+  });
+  return out;
+}
+
+// ---------------------------------------------------------
+// Cross-strategy comparison (latest archive of every manifest strategy)
+// one row per universe+symbol, one column group per strategy
+// ---------------------------------------------------------
+function strategySummary(archive) {
+  // universe|symbol -> { plan, mode, buy, sl, tp, score, stats }
+  const out = new Map();
+  const touch = r => {
+    const key = `${r.universe}|${r.symbol}`.toLowerCase();
+    if (!out.has(key)) out.set(key, { universe: r.universe, symbol: r.symbol, plan: false, modes: new Set(), row: null });
+    return out.get(key);
+  };
+  ["candidates_active", "candidates_edge"].forEach(list => {
+    (archive?.data?.[list] || []).forEach(r => {
+      const e = touch(r);
+      if (r.mode) e.modes.add(r.mode);
+      if (!e.row) e.row = r;
+    });
+  });
+  ["trade_plan", "position_plan"].forEach(list => {
+    (archive?.data?.[list] || []).forEach(r => {
+      const e = touch(r);
+      e.plan = true;
+      if (r.mode) e.modes.add(r.mode);
+      // plan levels win over candidate levels
+      if (list === "trade_plan" || !e.row) e.row = r;
+    });
+  });
+  out.forEach(e => {
+    e.mode = [...e.modes].join("/") || null;
+    e.score = normalizeStats(e.row?.stats)?.score ?? null;
+  });
+  return out;
+}
 
-    let cmp = 0;
-    if (va.t === "num" && vb.t === "num") cmp = va.v - vb.v;
-    else cmp = String(va.v).localeCompare(String(vb.v));
+// loaded: [{ id, name, archive }]
+function mergeStrategies(loaded) {
+  const merged = new Map();
+  loaded.forEach(({ id, archive }) => {
+    strategySummary(archive).forEach((e, key) => {
+      if (!merged.has(key)) merged.set(key, { universe: e.universe, symbol: e.symbol, stats: null, byStrategy: {}, flagged: 0 });
+      const m = merged.get(key);
+      m.byStrategy[id] = e;
+      m.flagged += 1;
+      if (!m.stats && e.row?.stats) m.stats = e.row.stats;
+    });
+  });
+  return [...merged.values()];
+}
 
-    if (cmp !== 0) return cmp * mul;
+function strategyColumns(strategies) {
+  const cols = [];
+  const renderers = {};
+  strategies.forEach(({ id, name }) => {
+    const get = (r, f) => r.byStrategy?.[id]?.[f] ?? null;
+    const lvl = (r, f) => toNum(r.byStrategy?.[id]?.row?.[f]);
+    const group = name || id;
+    [
+      ["plan", "Plan?", false, r => (r.byStrategy?.[id] ? (get(r, "plan") ? "✓" : "–") : null), null],
+      ["mode", "Mode", false, r => get(r, "mode"), null],
+      ["buy", "Buy", true, r => lvl(r, "buy"), "buy"],
+      ["sl", "SL", true, r => lvl(r, "sl"), "sl"],
+      ["tp", "TP", true, r => lvl(r, "tp"), "tp"],
+      ["score", "Score", true, r => get(r, "score"), "score"],
+    ].forEach(([f, label, numeric, renderer, fmtKey]) => {
+      const key = `s:${id}:${f}`;
+      cols.push({ key, label, numeric, sortable: true, group, fmt: fmtKey || undefined });
+      renderers[key] = renderer;
+    });
+  });
+  return { cols, renderers };
+}
 
-    // tie-break (e.g., score desc then trades desc)
-    if (tieBreak?.length) {
-      for (const tb of tieBreak) {
-        const ta = valueForSort(a, tb.key, cfg);
-        const tbv = valueForSort(b, tb.key, cfg);
+// ---------------------------------------------------------
+// Rankings (full backtest table per universe)
+// files: <rankings_dir>/ranking_<universe>_<trend_suffix>_<score|totalR>.csv
+// ---------------------------------------------------------
+const DEFAULT_STATS_FIELDS = [
+  "trades", "score", "mean_R", "pf", "profit_factor", "total_R", "median_R",
+  "win_rate", "avg_hold", "tp_rate", "sl_rate", "time_rate", "expectancy_R",
+];
 
-        if (ta.t === "na" && tbv.t === "na") continue;
-        if (ta.t === "na") return 1;
-        if (tbv.t === "na") return -1;
+// stats fields beyond the common four (trades/score/meanR/PF)
+const EXTRA_STATS_LABELS = {
+  total_R: "totalR",
+  median_R: "medianR",
+  win_rate: "WinRate",
+  avg_hold: "AvgHold",
+  tp_rate: "TP-Rate",
+  sl_rate: "SL-Rate",
+  time_rate: "Time-Rate",
+  expectancy_R: "ExpR",
+};
+const COMMON_STATS_FIELDS = new Set(["trades", "score", "mean_R", "meanR", "pf", "profit_factor"]);
 
-        let c2 = 0;
-        const m2 = tb.dir === "asc" ? 1 : -1;
+function metaPathFor(latestPath) {
+  const i = latestPath.lastIndexOf("/");
+  return `${i >= 0 ? latestPath.slice(0, i + 1) : ""}meta.json`;
+}
 
-        if (ta.t === "num" && tbv.t === "num") c2 = ta.v - tbv.v;
-        else c2 = String(ta.v).localeCompare(String(tbv.v));
+// basis: "score" | "totalR" -> ranking_* (filtered + ordered by the pipeline)
+//        "stats"            -> stats_* (every symbol, unordered; parquet only today)
+// format: hint from latest.paths.rankings_format / manifest, else csv then parquet
+function rankingSources(latest, universe, basis, formatHint) {
+  const dir = (latest?.paths?.rankings_dir || "").replace(/\/+$/, "");
+  const suffix = latest?.trend_suffix || "trend_off";
+  const base = basis === "stats"
+    ? `${dir}/stats_${universe}_${suffix}`
+    : `${dir}/ranking_${universe}_${suffix}_${basis}`;
+  const formats = formatHint ? [formatHint] : ["csv", "parquet"];
+  return formats.map(f => `${base}.${f}`);
+}
 
-        if (c2 !== 0) return c2 * m2;
-      }
+async function loadRankingTable(sources) {
+  let lastErr = null;
+  for (const url of sources) {
+    try {
+      return await loadTable(url);
+    } catch (e) {
+      lastErr = e;
     }
+  }
+  throw lastErr || new Error("keine Quelle");
+}
 
-    return 0;
+function rankingRowsFromTable(rows, universe, statsFields, signals, basis) {
+  const ordered = basis === "stats"
+    ? rows.slice().sort((a, b) => (toNum(b.score) ?? -Infinity) - (toNum(a.score) ?? -Infinity))
+    : rows;
+  return ordered.map((r, i) => {
+    const stats = {};
+    statsFields.forEach(f => {
+      if (r[f] !== undefined) stats[f] = toNum(r[f]);
+    });
+    if (stats.pf === undefined && stats.profit_factor !== undefined) stats.pf = stats.profit_factor;
+    const key = `${universe}|${r.symbol}`.toLowerCase();
+    return { universe, symbol: r.symbol, rank: i + 1, signal: signals.get(key) || null, stats };
   });
+}
 
+// universe|symbol -> "ACTIVE • Plan" for rows that have a signal in the archive
+function signalIndex(archive) {
+  const labels = [
+    ["candidates_active", "ACTIVE"],
+    ["candidates_edge", "EDGE"],
+    ["trade_plan", "Plan"],
+    ["position_plan", "Position"],
+  ];
+  const tmp = new Map();
+  labels.forEach(([list, label]) => {
+    (archive?.data?.[list] || []).forEach(r => {
+      const key = `${r.universe}|${r.symbol}`.toLowerCase();
+      if (!tmp.has(key)) tmp.set(key, new Set());
+      tmp.get(key).add(label);
+    });
+  });
+  const out = new Map();
+  tmp.forEach((set, key) => out.set(key, [...set].join(" • ")));
   return out;
 }
 
+function extraStatsColumns(statsFields) {
+  const cols = [];
+  const renderers = {};
+  statsFields
+    .filter(f => !COMMON_STATS_FIELDS.has(f))
+    .forEach(f => {
+      cols.push({ key: f, label: EXTRA_STATS_LABELS[f] || f, numeric: true, sortable: true });
+      renderers[f] = r => toNum(r.stats?.[f]);
+    });
+  return { cols, renderers };
+}
+
+function buildLinks(linksEl, latest, archivePath) {
+  clearEl(linksEl);
+
+  // CSV snapshots always reflect latest; only the archive link follows the date
+  const paths = latest?.paths?.csv || {};
+  const items = [
+    ["Candidates Active (CSV)", paths.candidates_active],
+    ["Candidates Edge (CSV)", paths.candidates_edge],
+    ["Trade Plan (CSV)", paths.trade_plan],
+    ["Position Plan (CSV)", paths.position_plan],
+    ["Archive (JSON)", archivePath || latest?.paths?.archive],
+  ].filter(([, href]) => !!href);
+
+  items.forEach(([label, href]) => {
+    const a = document.createElement("a");
+    a.href = href;
+    a.textContent = label;
+    a.target = "_blank";
+    a.rel = "noopener noreferrer";
+    linksEl.appendChild(a);
+  });
+}
+
+// ---------------------------------------------------------
+// Statistical reliability (derived from stats.trades / win_rate / score)
+// - win rate: Wilson 95 % interval
+// - score adj.: score shrunk towards 0 by a prior worth RELIABILITY_PRIOR_TRADES trades
+// - tier: half width of the win rate interval (p = 0.5 when win_rate is missing)
+// ---------------------------------------------------------
+const RELIABILITY_Z = 1.96;
+const RELIABILITY_PRIOR_TRADES = 20;
+const RELIABILITY_TIERS = [
+  { key: "high", label: "hoch", bars: "▮▮▮", maxHalfWidth: 0.12 },
+  { key: "mid", label: "mittel", bars: "▮▮▯", maxHalfWidth: 0.18 },
+  { key: "low", label: "gering", bars: "▮▯▯", maxHalfWidth: Infinity },
+];
+const RELIABILITY_CACHE = new WeakMap(); // stats object -> reliability()
+
+function wilsonInterval(p, n) {
+  const z2 = RELIABILITY_Z * RELIABILITY_Z;
+  const center = (p + z2 / (2 * n)) / (1 + z2 / n);
+  const half = (RELIABILITY_Z * Math.sqrt(p * (1 - p) / n + z2 / (4 * n * n))) / (1 + z2 / n);
+  return { lo: Math.max(0, center - half), hi: Math.min(1, center + half), half };
+}
+
+// -> { trades, scoreAdj, winRate, winLo, winHi, tier } or null without trades
+function reliability(stats) {
+  if (!stats || typeof stats !== "object") return null;
+  if (RELIABILITY_CACHE.has(stats)) return RELIABILITY_CACHE.get(stats);
+  const s = normalizeStats(stats);
+  const n = s.trades;
+  let out = null;
+  if (n !== null && n > 0) {
+    const winRate = toNum(stats.win_rate);
+    const ci = wilsonInterval(winRate ?? 0.5, n);
+    out = {
+      trades: n,
+      scoreAdj: s.score === null ? null : s.score * n / (n + RELIABILITY_PRIOR_TRADES),
+      winRate,
+      winLo: winRate === null ? null : ci.lo,
+      winHi: winRate === null ? null : ci.hi,
+      tier: RELIABILITY_TIERS.find(t => ci.half <= t.maxHalfWidth),
+    };
+  }
+  RELIABILITY_CACHE.set(stats, out);
+  return out;
+}
+
+function reliabilityText(rel) {
+  if (!rel) return "Verlässlichkeit: –";
+  const parts = [`Verlässlichkeit: ${rel.tier.label} (${fmt(rel.trades, 0)} Trades)`];
+  if (rel.winRate !== null) parts.push(`WinRate ${fmt(rel.winRate, 2)} (95 %-KI ${fmt(rel.winLo, 2)}–${fmt(rel.winHi, 2)})`);
+  if (rel.scoreAdj !== null) parts.push(`Score adj. ${fmt(rel.scoreAdj, 3)}`);
+  return parts.join(" • ");
+}
+
+// score adj. + win rate lower bound next to the score (or the ranking basis column)
+function withReliability(cfg) {
+  const at = Math.max(cfg.cols.findIndex(c => c.key === "score"), cfg.cols.findIndex(c => c.key === "rank_basis"));
+  if (at < 0) return cfg;
+  const cols = [
+    { key: "score_adj", label: "Score adj.", fmt: "score", numeric: true, sortable: true },
+    { key: "win_rate_lo", label: "WinRate ≥", numeric: true, sortable: true },
+  ].filter(c => !(c.key === "score_adj" && cfg.ranking?.basis === "score_adj"));
+  const merged = cfg.cols.slice();
+  merged.splice(at + 1, 0, ...cols);
+  return {
+    ...cfg,
+    cols: merged,
+    renderers: {
+      ...cfg.renderers,
+      score_adj: r => reliability(r.stats)?.scoreAdj ?? null,
+      win_rate_lo: r => reliability(r.stats)?.winLo ?? null,
+    },
+  };
+}
+
+// ---------------------------------------------------------
+// Ampel + ranking basis
+// basis = the number behind the dot, the tooltip head and the default sort.
+// bands per strategy: manifest.json strategies[].ranking over meta.json ranking:
+//   { "basis": "total_R", "bands": { "total_R": [0, 5, 15] | { "cuts": [...], "labels": [4 names] } } }
+// 3 ascending cuts -> red / yellow / green / strong green; default score cuts 0.5/1.5/3.0
+// ---------------------------------------------------------
+const RANK_PERCENTILES = new WeakMap(); // row -> 0..100 within its universe (see rankPercentiles)
+
+const RANK_BASES = {
+  score: { label: "Score", cuts: [0.5, 1.5, 3.0], cutDigits: 1, fmt: "score", value: r => normalizeStats(r.stats)?.score ?? null },
+  total_R: { label: "total_R", cuts: [0, 5, 15], cutDigits: 0, fmt: "total_R", value: r => toNum(r.stats?.total_R) },
+  expectancy_R: { label: "ExpR", cuts: [0, 0.1, 0.25], cutDigits: 0, fmt: "expectancy_R", value: r => toNum(r.stats?.expectancy_R) },
+  percentile: { label: "Perzentil", cuts: [25, 50, 75], cutDigits: 0, fmt: "rank", value: r => RANK_PERCENTILES.get(r) ?? null },
+  score_adj: { label: "Score adj.", cuts: [0.3, 1.0, 2.0], cutDigits: 1, fmt: "score", value: r => reliability(r.stats)?.scoreAdj ?? null },
+};
+const RANK_BAND_CLASSES = ["rank-red", "rank-yellow", "rank-green", "rank-strong"];
+const RANK_BAND_NAMES = ["rot", "gelb", "grün", "sehr grün"];
+
+function validCuts(cuts) {
+  return Array.isArray(cuts) && cuts.length === 3 && cuts.every(c => toNum(c) !== null) &&
+    toNum(cuts[0]) < toNum(cuts[1]) && toNum(cuts[1]) < toNum(cuts[2]);
+}
+
+// config: merged ranking config of the strategy -> { basis, label, value, fmt, bands, errors }
+function rankingSpec(basis, config) {
+  const key = RANK_BASES[basis] ? basis : "score";
+  const base = RANK_BASES[key];
+  const raw = config?.bands?.[key];
+  const cuts = Array.isArray(raw) ? raw : raw?.cuts;
+  const errors = [];
+  if (raw !== undefined && !validCuts(cuts)) errors.push(`ranking.bands.${key}: drei aufsteigende Zahlen erwartet – Standard verwendet.`);
+  const use = validCuts(cuts) ? cuts.map(toNum) : base.cuts;
+  const names = Array.isArray(raw?.labels) && raw.labels.length === 4 ? raw.labels.map(String) : RANK_BAND_NAMES;
+
+  const cut = c => (Number.isInteger(c) ? c.toFixed(base.cutDigits) : String(c));
+  const bands = RANK_BAND_CLASSES.map((cls, i) => {
+    const range = i === 0 ? `${base.label} < ${cut(use[0])}`
+      : i === 3 ? `≥ ${cut(use[2])}`
+      : `${cut(use[i - 1])}–${cut(use[i])}`;
+    return { cls, min: i ? use[i - 1] : null, label: `${range} (${names[i]})` };
+  });
+  return { basis: key, label: base.label, value: base.value, fmt: base.fmt, bands, errors };
+}
+
+const DEFAULT_RANKING = rankingSpec("score", null);
+
+// health findings for a strategy's ranking config (every basis, not only the active one)
+function rankingFindings(config) {
+  const errors = Object.keys(RANK_BASES).flatMap(b => rankingSpec(b, config).errors);
+  if (config.basis !== undefined && !RANK_BASES[config.basis]) {
+    errors.push(`ranking.basis "${config.basis}" unbekannt – Score verwendet.`);
+  }
+  return errors.map(text => ({ level: "warn", text }));
+}
+
+function rankBand(ranking, value) {
+  if (value === null || value === undefined) return { cls: "rank-na", label: "Kein Ranking" };
+  let band = ranking.bands[0];
+  ranking.bands.forEach(b => { if (b.min !== null && value >= b.min) band = b; });
+  return band;
+}
+
+// <0.5 red, 0.5-1.5 yellow, 1.5-3 green, >=3 strong green (score basis, default cuts)
+function scoreBand(score) {
+  return rankBand(DEFAULT_RANKING, score);
+}
+
+// percentile of the score within the universe. population per universe holds one score per
+// symbol: the universe's ranking file (score), else the rows at hand deduped by symbol
+const PERCENTILE_MIN_POPULATION = 20; // fewer symbols: health warning, rank says little
+const RANKED_WITH = new WeakMap(); // rows key -> population last ranked against
+
+// scoreOf: row -> number|null; universe -> { scores (ascending), bySymbol }
+function percentilePopulation(rows, scoreOf) {
+  const out = new Map();
+  rows.forEach(r => {
+    const score = scoreOf(r);
+    if (score === null || score === undefined || !r.symbol) return;
+    const u = r.universe ?? "";
+    if (!out.has(u)) out.set(u, { scores: [], bySymbol: new Map() });
+    const pop = out.get(u);
+    const sym = String(r.symbol).toUpperCase();
+    if (pop.bySymbol.has(sym)) return;
+    pop.bySymbol.set(sym, score);
+    pop.scores.push(score);
+  });
+  out.forEach(pop => pop.scores.sort((a, b) => a - b));
+  return out;
+}
+
+function percentileIn(scores, score) {
+  let below = 0; // binary search: number of lower scores
+  let hi = scores.length;
+  while (below < hi) {
+    const mid = (below + hi) >> 1;
+    if (scores[mid] < score) below = mid + 1;
+    else hi = mid;
+  }
+  return scores.length > 1 ? (100 * below) / (scores.length - 1) : 100;
+}
+
+// by symbol; a symbol missing from the population is placed by its own score
+function rankPercentiles(key, rows, population) {
+  if (RANKED_WITH.get(key) === population) return;
+  RANKED_WITH.set(key, population);
+  rows.forEach(r => {
+    const pop = population.get(r.universe ?? "");
+    const score = pop?.bySymbol.get(String(r.symbol ?? "").toUpperCase()) ?? normalizeStats(r.stats)?.score ?? null;
+    if (pop && score !== null) RANK_PERCENTILES.set(r, percentileIn(pop.scores, score));
+    else RANK_PERCENTILES.delete(r);
+  });
+}
+
+function percentileFindings(population, sources) {
+  const out = [];
+  population.forEach((pop, u) => {
+    if (pop.scores.length >= PERCENTILE_MIN_POPULATION) return;
+    out.push({
+      level: "warn",
+      text: `Perzentil ${u || "?"}: nur ${pop.scores.length} Symbole mit Score (${sources.get(u) || "Archiv-Tag"}) – ` +
+        `unter ${PERCENTILE_MIN_POPULATION} ist der Rang wenig aussagekräftig.`,
+    });
+  });
+  return out;
+}
+
+// legend next to the basis select; the snapshot lets help.html show the same bands
+const RANK_LEGEND_KEY = "tkd.legend.v1";
+
+function renderRankLegend(el, ranking) {
+  clearEl(el);
+  ranking.bands.forEach(b => {
+    const item = document.createElement("span");
+    item.className = "rank-legend-item";
+    const dot = document.createElement("span");
+    dot.className = `rank-dot ${b.cls}`;
+    item.appendChild(dot);
+    item.appendChild(document.createTextNode(b.label));
+    el.appendChild(item);
+  });
+}
+
+// views with a score column get the basis as its own column (and default sort)
+function withRanking(cfg, ranking) {
+  const out = { ...cfg, ranking };
+  if (ranking.basis === "score" || !cfg.cols.some(c => c.key === "score")) return out;
+  const at = cfg.cols.findIndex(c => c.key === "score");
+  const cols = cfg.cols.slice();
+  cols.splice(at + 1, 0, { key: "rank_basis", label: ranking.label, fmt: ranking.fmt, numeric: true, sortable: true });
+  out.cols = cols;
+  out.renderers = { ...cfg.renderers, rank_basis: ranking.value };
+  if (cfg.defaultSort?.key === "score") out.defaultSort = { key: "rank_basis", dir: "desc" };
+  return out;
+}
+
+function tooltipText(row, gateInfo, ranking = DEFAULT_RANKING) {
+  const s = normalizeStats(row.stats);
+  const parts = [];
+  if (!s) {
+    parts.push("Kein Ranking verfügbar");
+  } else {
+    if (ranking.basis !== "score") parts.push(`${ranking.label}: ${cellText(ranking.fmt, ranking.value(row))}`);
+    parts.push(`Score: ${s.score === null ? "–" : s.score.toFixed(3)}`);
+    parts.push(`Trades: ${s.trades === null ? "–" : String(Math.round(s.trades))}`);
+    parts.push(`meanR: ${s.meanR === null ? "–" : s.meanR.toFixed(3)}`);
+    parts.push(`PF: ${s.pf === null ? "–" : s.pf.toFixed(2)}`);
+    parts.push(reliabilityText(reliability(row.stats)));
+  }
+  if (gateInfo && !gateInfo.pass) parts.push(`Gate FAIL: ${gateInfo.reasons.join(", ")}`);
+  return parts.join(" • ");
+}
+
+// ---------------------------------------------------------
+// Trade Gates
+// gate = { id, name, rules: [{ field, min?, max?, minExcl?, maxExcl? }] }, bounds inclusive unless *Excl
+// built-ins are fixed; own gates live in localStorage (GATE_STORAGE_KEY)
+// ---------------------------------------------------------
+const GATE_STORAGE_KEY = "tkd.gates.v1";
+
+const BUILTIN_GATES = {
+  conservative: {
+    name: "Conservative",
+    rules: [
+      { field: "trades", min: 40 },
+      { field: "score", min: 1.5 },
+      { field: "pf", min: 1.30 },
+      { field: "mean_R", min: 0.10 },
+    ],
+  },
+  balanced: {
+    name: "Balanced",
+    rules: [
+      { field: "trades", min: 25 },
+      { field: "score", min: 1.0 },
+      { field: "pf", min: 1.15 },
+      { field: "mean_R", min: 0.05 },
+    ],
+  },
+  aggressive: {
+    name: "Aggressive",
+    rules: [
+      { field: "trades", min: 20 },
+      { field: "score", min: 0.5 },
+      { field: "pf", min: 1.00 },
+      { field: "mean_R", min: 0.00 },
+    ],
+  },
+  // needs the events overlay; rows without a hold window are not judged
+  no_events: {
+    name: "Ohne Events im Haltefenster",
+    rules: [
+      { field: "hold_events", max: 0 },
+    ],
+  },
+};
+
+// setup fields live on the record itself, everything else is looked up in stats
+const GATE_SETUP_FIELDS = {
+  rr: r => computeRR(r),
+  signal_age_days: r => toNum(r.signal_age_days),
+  risk_R: r => toNum(r.risk_R),
+  time_stop_bars: r => toNum(r.time_stop_bars ?? r.hold_bars ?? r.hold),
+  // overlay: scheduled events before entry_date + time_stop_bars (rule: max 0)
+  hold_events: r => holdWindowEvents(r)?.length ?? null,
+};
+
+// rules on these fields are skipped (not failed) for rows they cannot apply to
+const GATE_FIELD_APPLIES = {
+  hold_events: r => holdWindowEvents(r) !== null, // no overlay merged, or no entry date / hold bars
+};
+
+function gateUsesField(gate, field) {
+  return !!gate?.rules?.some(r => r.field === field);
+}
+
+// derived from stats (see reliability)
+const GATE_DERIVED_FIELDS = {
+  score_adj: r => reliability(r.stats)?.scoreAdj ?? null,
+  win_rate_lo: r => reliability(r.stats)?.winLo ?? null,
+};
+
+const GATE_FIELD_LABELS = {
+  pf: "PF", mean_R: "meanR", rr: "RR", hold_events: "Events im Haltefenster",
+  score_adj: "Score adj.", win_rate_lo: "WinRate KI-Untergrenze",
+};
+
+function gateFieldLabel(field) {
+  return GATE_FIELD_LABELS[field] || field;
+}
+
+function gateFieldOptions(statsFields) {
+  // profit_factor is the same number as pf
+  const stats = (statsFields || DEFAULT_STATS_FIELDS).filter(f => f !== "profit_factor");
+  return [...stats, ...Object.keys(GATE_DERIVED_FIELDS), ...Object.keys(GATE_SETUP_FIELDS)];
+}
+
+function gateFieldValue(row, field) {
+  if (GATE_SETUP_FIELDS[field]) return GATE_SETUP_FIELDS[field](row);
+  if (GATE_DERIVED_FIELDS[field]) return GATE_DERIVED_FIELDS[field](row);
+  const st = row.stats;
+  if (!st) return null;
+  if (field === "pf") return toNum(st.pf ?? st.profit_factor);
+  if (field === "mean_R") return toNum(st.mean_R ?? st.meanR);
+  return toNum(st[field]);
+}
+
+function loadCustomGates() {
+  const gates = storageGet(GATE_STORAGE_KEY, []);
+  return Array.isArray(gates) ? gates.filter(isValidGate) : [];
+}
+
+function saveCustomGates(gates) {
+  return storageSet(GATE_STORAGE_KEY, gates);
+}
+
+function isValidGate(g) {
+  return !!g && typeof g.id === "string" && typeof g.name === "string" && Array.isArray(g.rules) &&
+    g.rules.every(r => r && typeof r.field === "string" && (toNum(r.min) !== null || toNum(r.max) !== null));
+}
+
+function newGateId() {
+  return `g${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function gatePreset(name, customGates = []) {
+  if (BUILTIN_GATES[name]) return BUILTIN_GATES[name];
+  if (String(name).startsWith("custom:")) {
+    const id = name.slice("custom:".length);
+    return customGates.find(g => g.id === id) || null;
+  }
+  return null; // off
+}
+
+function evalGate(row, preset) {
+  if (!preset) return { pass: true, reasons: [] };
+
+  const reasons = [];
+  preset.rules.forEach(rule => {
+    if (GATE_FIELD_APPLIES[rule.field] && !GATE_FIELD_APPLIES[rule.field](row)) return;
+    const label = gateFieldLabel(rule.field);
+    const v = gateFieldValue(row, rule.field);
+    const min = toNum(rule.min);
+    const max = toNum(rule.max);
+
+    const shown = v !== null && Number.isInteger(v) ? String(v) : fmt(v, 3);
+
+    if (v === null) reasons.push(`no ${label}`);
+    else if (min !== null && v < min) reasons.push(`${label} ${shown} < ${min}`);
+    else if (min !== null && rule.minExcl && v === min) reasons.push(`${label} ${shown} ≤ ${min}`);
+    else if (max !== null && v > max) reasons.push(`${label} ${shown} > ${max}`);
+    else if (max !== null && rule.maxExcl && v === max) reasons.push(`${label} ${shown} ≥ ${max}`);
+  });
+
+  return { pass: reasons.length === 0, reasons };
+}
+
+// gateSelect: fixed built-in options from index.html + one optgroup for own gates
+function fillGateSelect(gateSelect, customGates) {
+  gateSelect.querySelector("optgroup[data-custom]")?.remove();
+  if (!customGates.length) return;
+  const group = document.createElement("optgroup");
+  group.label = "Eigene Gates";
+  group.dataset.custom = "1";
+  customGates.forEach(g => {
+    const opt = document.createElement("option");
+    opt.value = `custom:${g.id}`;
+    opt.textContent = g.name;
+    group.appendChild(opt);
+  });
+  gateSelect.appendChild(group);
+}
+
+// ---------------------------------------------------------
+// Gate editor panel
+// ---------------------------------------------------------
+function setupGateEditor({ gateSelect, getStatsFields, onChange }) {
+  const panel = document.getElementById("gatePanel");
+  const toggleBtn = document.getElementById("gateEditBtn");
+  const editSelect = document.getElementById("gateEditSelect");
+  const nameInput = document.getElementById("gateName");
+  const rulesBody = document.querySelector("#gateRules tbody");
+  const msgEl = document.getElementById("gateMsg");
+  const importInput = document.getElementById("gateImport");
+
+  let gates = loadCustomGates();
+  let draft = { id: null, name: "", rules: [] };
+
+  function setMsg(text) {
+    msgEl.textContent = text;
+  }
+
+  function fillEditSelect(selected) {
+    clearEl(editSelect);
+    const add = (parent, value, label) => {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = label;
+      parent.appendChild(opt);
+    };
+    add(editSelect, "", "— neues Gate —");
+    const tpl = document.createElement("optgroup");
+    tpl.label = "Vorlagen";
+    Object.entries(BUILTIN_GATES).forEach(([key, g]) => add(tpl, key, g.name));
+    editSelect.appendChild(tpl);
+    if (gates.length) {
+      const own = document.createElement("optgroup");
+      own.label = "Eigene Gates";
+      gates.forEach(g => add(own, `custom:${g.id}`, g.name));
+      editSelect.appendChild(own);
+    }
+    editSelect.value = selected ?? "";
+  }
+
+  function loadDraft(value) {
+    const g = gatePreset(value, gates);
+    if (!g) draft = { id: null, name: "", rules: [{ field: "trades", min: 20 }] };
+    else if (g.id) draft = JSON.parse(JSON.stringify(g));
+    else draft = { id: null, name: `${g.name} (Kopie)`, rules: JSON.parse(JSON.stringify(g.rules)) };
+    nameInput.value = draft.name;
+    renderRules();
+    setMsg("");
+  }
+
+  function renderRules() {
+    clearEl(rulesBody);
+    const fields = gateFieldOptions(getStatsFields());
+
+    draft.rules.forEach((rule, i) => {
+      const tr = document.createElement("tr");
+
+      const fieldTd = document.createElement("td");
+      const fieldSel = document.createElement("select");
+      [...new Set([...fields, rule.field])].forEach(f => {
+        const opt = document.createElement("option");
+        opt.value = f;
+        opt.textContent = gateFieldLabel(f);
+        fieldSel.appendChild(opt);
+      });
+      fieldSel.value = rule.field;
+      fieldSel.addEventListener("change", () => { rule.field = fieldSel.value; });
+      fieldTd.appendChild(fieldSel);
+      tr.appendChild(fieldTd);
+
+      ["min", "max"].forEach(bound => {
+        const td = document.createElement("td");
+        // operator: inclusive (≥/≤) or exclusive (>/<), stored as minExcl/maxExcl
+        const excl = `${bound}Excl`;
+        const opSel = document.createElement("select");
+        opSel.className = "rule-op";
+        (bound === "min" ? ["≥", ">"] : ["≤", "<"]).forEach((op, i) => {
+          const opt = document.createElement("option");
+          opt.value = i ? "excl" : "";
+          opt.textContent = op;
+          opSel.appendChild(opt);
+        });
+        opSel.value = rule[excl] ? "excl" : "";
+        opSel.addEventListener("change", () => {
+          if (opSel.value) rule[excl] = true;
+          else delete rule[excl];
+        });
+        const input = document.createElement("input");
+        input.type = "number";
+        input.step = "any";
+        input.value = rule[bound] ?? "";
+        input.addEventListener("input", () => {
+          const n = toNum(input.value);
+          if (n === null) delete rule[bound];
+          else rule[bound] = n;
+        });
+        td.append(opSel, input);
+        tr.appendChild(td);
+      });
+
+      const delTd = document.createElement("td");
+      const del = document.createElement("button");
+      del.type = "button";
+      del.className = "btn btn-small";
+      del.textContent = "✕";
+      del.title = "Regel entfernen";
+      del.addEventListener("click", () => {
+        draft.rules.splice(i, 1);
+        renderRules();
+      });
+      delTd.appendChild(del);
+      tr.appendChild(delTd);
+
+      rulesBody.appendChild(tr);
+    });
+  }
+
+  function persist(selectValue) {
+    if (!saveCustomGates(gates)) setMsg("Speichern im Browser fehlgeschlagen (localStorage nicht verfügbar).");
+    fillGateSelect(gateSelect, gates);
+    if (selectValue !== undefined) gateSelect.value = selectValue;
+    if (!gateSelect.value) gateSelect.value = "off";
+    onChange(gates);
+  }
+
+  toggleBtn.addEventListener("click", () => {
+    panel.hidden = !panel.hidden;
+    if (!panel.hidden) {
+      const cur = gateSelect.value === "off" ? "" : gateSelect.value;
+      fillEditSelect(cur);
+      loadDraft(cur);
+    }
+  });
+
+  editSelect.addEventListener("change", () => loadDraft(editSelect.value));
+  nameInput.addEventListener("input", () => { draft.name = nameInput.value; });
+
+  document.getElementById("gateAddRule").addEventListener("click", () => {
+    draft.rules.push({ field: "win_rate", min: 0.5 });
+    renderRules();
+  });
+
+  document.getElementById("gateSave").addEventListener("click", () => {
+    const name = draft.name.trim();
+    const rules = draft.rules.filter(r => toNum(r.min) !== null || toNum(r.max) !== null);
+    if (!name) return setMsg("Bitte einen Namen vergeben.");
+    if (!rules.length) return setMsg("Mindestens eine Regel mit Min oder Max angeben.");
+
+    const gate = { id: draft.id || newGateId(), name, rules };
+    const idx = gates.findIndex(g => g.id === gate.id);
+    if (idx >= 0) gates[idx] = gate;
+    else gates.push(gate);
+    draft = JSON.parse(JSON.stringify(gate));
+
+    persist(`custom:${gate.id}`);
+    fillEditSelect(`custom:${gate.id}`);
+    renderRules();
+    setMsg(`Gespeichert: ${gate.name}`);
+  });
+
+  document.getElementById("gateDelete").addEventListener("click", () => {
+    if (!draft.id) return setMsg("Vorlagen und ungespeicherte Gates können nicht gelöscht werden.");
+    const name = draft.name;
+    const wasActive = gateSelect.value === `custom:${draft.id}`;
+    gates = gates.filter(g => g.id !== draft.id);
+    persist(wasActive ? "off" : gateSelect.value);
+    fillEditSelect("");
+    loadDraft("");
+    setMsg(`Gelöscht: ${name}`);
+  });
+
+  document.getElementById("gateExport").addEventListener("click", () => {
+    downloadText("tkd-gates.json", JSON.stringify({ version: 1, gates }, null, 2), "application/json");
+  });
+
+  importInput.addEventListener("change", async () => {
+    const file = importInput.files?.[0];
+    importInput.value = "";
+    if (!file) return;
+    try {
+      const parsed = JSON.parse(await readFileText(file));
+      const incoming = (Array.isArray(parsed) ? parsed : parsed?.gates || []).map(g => ({ ...g, id: g?.id || newGateId() }));
+      const valid = incoming.filter(isValidGate);
+      valid.forEach(g => {
+        const idx = gates.findIndex(x => x.id === g.id);
+        if (idx >= 0) gates[idx] = g;
+        else gates.push(g);
+      });
+      persist(gateSelect.value);
+      fillEditSelect(editSelect.value);
+      setMsg(`Importiert: ${valid.length} Gate(s)${incoming.length > valid.length ? `, ${incoming.length - valid.length} ungültig übersprungen` : ""}.`);
+    } catch (e) {
+      setMsg(`Import fehlgeschlagen: ${e.message}`);
+    }
+  });
+
+  fillGateSelect(gateSelect, gates);
+  return gates;
+}
+
+// ---------------------------------------------------------
+// Derived values
+// renderers are pure per record, so filter, sort, cells and export share one
+// computation per (renderer, row); a new cfg brings new renderers = fresh cache
+// ---------------------------------------------------------
+const DERIVED_VALUES = new WeakMap(); // renderer -> WeakMap(row -> value)
+
+function cellValue(row, key, cfg) {
+  const renderer = cfg?.renderers?.[key];
+  if (!renderer) return row[key];
+  let byRow = DERIVED_VALUES.get(renderer);
+  if (!byRow) {
+    byRow = new WeakMap();
+    DERIVED_VALUES.set(renderer, byRow);
+  }
+  if (byRow.has(row)) return byRow.get(row);
+  const v = renderer(row);
+  byRow.set(row, v);
+  return v;
+}
+
+// last result per argument list (compared by identity)
+function memoLast(fn) {
+  let lastArgs = null;
+  let last;
+  return (...args) => {
+    if (lastArgs && args.length === lastArgs.length && args.every((a, i) => a === lastArgs[i])) return last;
+    last = fn(...args);
+    lastArgs = args;
+    return last;
+  };
+}
+
+// trailing-edge debounce; flush() runs a pending call now
+function debounce(fn, ms) {
+  let timer = null;
+  const run = (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => fn(...args), ms);
+  };
+  run.flush = () => {
+    if (timer === null) return;
+    clearTimeout(timer);
+    timer = null;
+    fn();
+  };
+  return run;
+}
+
+// table body virtualization (see paintBody in main) + search debounce
+const VIRTUAL_MIN_ROWS = 200;
+const VIRTUAL_OVERSCAN = 12;
+const VIRTUAL_ROW_HEIGHT = 45; // px estimate, replaced by the measured row
+const VIRTUAL_FALLBACK_ROWS = 30; // window size while the box has no layout yet
+const SEARCH_DEBOUNCE_MS = 150;
+
+// ---------------------------------------------------------
+// Sorting
+// ---------------------------------------------------------
+function valueForSort(row, key, cfg) {
+  const raw = cellValue(row, key, cfg);
+
+  if (raw === null || raw === undefined || raw === "" || raw === "–") return { t: "na", v: null };
+
+  const n = toNum(raw);
+  if (n !== null) return { t: "num", v: n };
+
+  return { t: "str", v: String(raw).toLowerCase() };
+}
+
+// NA always last, numbers before strings; dir only flips real comparisons
+function compareSortValues(va, vb, mul) {
+  if (va.t === "na" && vb.t === "na") return 0;
+  if (va.t === "na") return 1;
+  if (vb.t === "na") return -1;
+
+  if (va.t !== vb.t) return va.t === "num" ? -1 : 1;
+
+  const cmp = va.t === "num" ? va.v - vb.v : String(va.v).localeCompare(String(vb.v));
+  return cmp * mul;
+}
+
+function sortRows(rows, sortState, cfg, tieBreak) {
+  if (!sortState?.key) return rows;
+
+  const { key, dir } = sortState;
+  const keys = [{ key, mul: dir === "asc" ? 1 : -1 }];
+  // tie-break (e.g., score desc then trades desc)
+  (tieBreak || []).forEach(tb => keys.push({ key: tb.key, mul: tb.dir === "asc" ? 1 : -1 }));
+
+  // sort values once per row instead of per comparison
+  const decorated = rows.map((row, i) => ({ row, i, vals: keys.map(k => valueForSort(row, k.key, cfg)) }));
+  decorated.sort((a, b) => {
+    for (let k = 0; k < keys.length; k++) {
+      const c = compareSortValues(a.vals[k], b.vals[k], keys[k].mul);
+      if (c !== 0) return c;
+    }
+    return a.i - b.i;
+  });
+
+  return decorated.map(x => x.row);
+}
+
 // ---------------------------------------------------------
 // View configuration
 // renderers should return numbers for numeric cols (so sort works)
 // ---------------------------------------------------------
-function buildViewConfig(view) {
+function buildViewConfig(view, opts = {}) {
   const commonStats = {
     trades: r => normalizeStats(r.stats)?.trades ?? null,
     score:  r => normalizeStats(r.stats)?.score ?? null,
@@ -292,41 +1790,126 @@ function buildViewConfig(view) {
     };
   }
 
-  if (view === "position_plan") {
+  if (view === "strategies") {
+    const groups = strategyColumns(opts.strategies || []);
     return {
-      title: "Position Plan",
-      defaultSort: { key: "score", dir: "desc" },
-      tieBreak: [{ key: "trades", dir: "desc" }],
+      title: "Strategie-Vergleich",
+      defaultSort: { key: "flagged", dir: "desc" },
+      tieBreak: [{ key: "universe", dir: "asc" }, { key: "symbol", dir: "asc" }],
+      rowClass: r => (r.flagged > 1 ? "multi-strategy" : ""),
       cols: [
         { key: "universe", label: "Universe", sortable: true },
         { key: "symbol", label: "Symbol", sortable: true },
-        { key: "mode", label: "Mode", sortable: true },
-        { key: "buy", label: "Buy", numeric: true, sortable: true },
-        { key: "sl", label: "SL", numeric: true, sortable: true },
-        { key: "tp", label: "TP", numeric: true, sortable: true },
-        { key: "shares", label: "Shares", numeric: true, sortable: true },
-        { key: "cost_usd", label: "Cost$", numeric: true, sortable: true },
-        { key: "risk_usd", label: "Risk$", numeric: true, sortable: true },
-        { key: "fee_usd", label: "Fee$", numeric: true, sortable: true },
-        { key: "cash_after_usd", label: "CashAfter$", numeric: true, sortable: true },
-        { key: "trades", label: "Trades", numeric: true, sortable: true },
-        { key: "score", label: "Score", numeric: true, sortable: true },
-        { key: "meanR", label: "meanR", numeric: true, sortable: true },
-        { key: "pf", label: "PF", numeric: true, sortable: true },
+        { key: "flagged", label: "# Strategien", numeric: true, sortable: true },
+        ...groups.cols,
       ],
       renderers: {
         universe: r => r.universe ?? "–",
         symbol: r => r.symbol ?? "–",
-        mode: r => r.mode ?? "–",
-        buy: r => toNum(r.buy),
-        sl: r => toNum(r.sl),
-        tp: r => toNum(r.tp),
-        shares: r => toNum(r.shares),
-        cost_usd: r => toNum(r.cost_usd),
-        risk_usd: r => toNum(r.risk_usd),
-        fee_usd: r => toNum(r.fee_usd),
-        cash_after_usd: r => toNum(r.cash_after_usd),
-        ...commonStats,
+        flagged: r => r.flagged,
+        ...groups.renderers,
+      },
+    };
+  }
+
+  if (view === "rankings") {
+    const extra = extraStatsColumns(opts.statsFields || DEFAULT_STATS_FIELDS);
+    return {
+      title: "Rankings",
+      defaultSort: { key: "rank", dir: "asc" },
+      tieBreak: [{ key: "universe", dir: "asc" }],
+      cols: [
+        { key: "rank", label: "#", numeric: true, sortable: true },
+        { key: "universe", label: "Universe", sortable: true },
+        { key: "symbol", label: "Symbol", sortable: true },
+        { key: "signal", label: "Signal heute", sortable: true },
+        { key: "trades", label: "Trades", numeric: true, sortable: true },
+        { key: "score", label: "Score", numeric: true, sortable: true },
+        { key: "meanR", label: "meanR", numeric: true, sortable: true },
+        { key: "pf", label: "PF", numeric: true, sortable: true },
+        ...extra.cols,
+      ],
+      renderers: {
+        rank: r => r.rank,
+        universe: r => r.universe ?? "–",
+        symbol: r => r.symbol ?? "–",
+        signal: r => r.signal ?? "–",
+        ...commonStats,
+        ...extra.renderers,
+      },
+    };
+  }
+
+  if (view === "changes") {
+    return {
+      title: "Changes",
+      defaultSort: { key: "list", dir: "asc" },
+      tieBreak: [{ key: "change", dir: "desc" }, { key: "symbol", dir: "asc" }],
+      rowClass: r => `chg-${r.change === "neu" ? "added" : r.change === "entfernt" ? "removed" : "changed"}`,
+      cols: [
+        { key: "list", label: "Liste", sortable: true },
+        { key: "change", label: "Änderung", sortable: true },
+        { key: "universe", label: "Universe", sortable: true },
+        { key: "symbol", label: "Symbol", sortable: true },
+        { key: "mode", label: "Mode", sortable: true },
+        { key: "buy", label: "Buy", numeric: true, sortable: true },
+        { key: "sl", label: "SL", numeric: true, sortable: true },
+        { key: "tp", label: "TP", numeric: true, sortable: true },
+        { key: "rr", label: "RR", numeric: true, sortable: true },
+        { key: "score", label: "Score", numeric: true, sortable: true },
+        { key: "details", label: "Details" },
+      ],
+      renderers: {
+        list: r => r.list,
+        change: r => r.change,
+        universe: r => r.universe ?? "–",
+        symbol: r => r.symbol ?? "–",
+        mode: r => r.mode ?? "–",
+        buy: r => toNum(r.buy),
+        sl: r => toNum(r.sl),
+        tp: r => toNum(r.tp),
+        rr: r => computeRR(r),
+        score: commonStats.score,
+        details: r => r.details || "–",
+      },
+    };
+  }
+
+  if (view === "position_plan") {
+    return {
+      title: "Position Plan",
+      defaultSort: { key: "score", dir: "desc" },
+      tieBreak: [{ key: "trades", dir: "desc" }],
+      cols: [
+        { key: "universe", label: "Universe", sortable: true },
+        { key: "symbol", label: "Symbol", sortable: true },
+        { key: "mode", label: "Mode", sortable: true },
+        { key: "buy", label: "Buy", numeric: true, sortable: true },
+        { key: "sl", label: "SL", numeric: true, sortable: true },
+        { key: "tp", label: "TP", numeric: true, sortable: true },
+        { key: "shares", label: "Shares", numeric: true, sortable: true },
+        { key: "cost_usd", label: "Cost", numeric: true, sortable: true, money: true },
+        { key: "risk_usd", label: "Risk", numeric: true, sortable: true, money: true },
+        { key: "fee_usd", label: "Fee", numeric: true, sortable: true, money: true },
+        { key: "cash_after_usd", label: "CashAfter", numeric: true, sortable: true, money: true },
+        { key: "trades", label: "Trades", numeric: true, sortable: true },
+        { key: "score", label: "Score", numeric: true, sortable: true },
+        { key: "meanR", label: "meanR", numeric: true, sortable: true },
+        { key: "pf", label: "PF", numeric: true, sortable: true },
+      ],
+      renderers: {
+        universe: r => r.universe ?? "–",
+        symbol: r => r.symbol ?? "–",
+        mode: r => r.mode ?? "–",
+        buy: r => toNum(r.buy),
+        sl: r => toNum(r.sl),
+        tp: r => toNum(r.tp),
+        shares: r => toNum(r.shares),
+        cost_usd: r => toNum(r.cost_usd),
+        risk_usd: r => toNum(r.risk_usd),
+        fee_usd: r => toNum(r.fee_usd),
+        cash_after_usd: r => toNum(r.cash_after_usd),
+        ...commonStats,
       },
     };
   }
@@ -345,8 +1928,8 @@ function buildViewConfig(view) {
       { key: "rr", label: "RR", numeric: true, sortable: true },
       { key: "hold", label: "Hold", numeric: true, sortable: true },
       { key: "shares", label: "Shares", numeric: true, sortable: true },
-      { key: "risk_usd", label: "Risk$", numeric: true, sortable: true },
-      { key: "fee_usd", label: "Fee$", numeric: true, sortable: true },
+      { key: "risk_usd", label: "Risk", numeric: true, sortable: true, money: true },
+      { key: "fee_usd", label: "Fee", numeric: true, sortable: true, money: true },
       { key: "trades", label: "Trades", numeric: true, sortable: true },
       { key: "score", label: "Score", numeric: true, sortable: true },
       { key: "meanR", label: "meanR", numeric: true, sortable: true },
@@ -370,11 +1953,185 @@ function buildViewConfig(view) {
   };
 }
 
+// ---------------------------------------------------------
+// Column chooser (per strategy+view layout in localStorage)
+// layout: { order: [key...], hidden: [key...] }; extra columns only show when in order
+// ---------------------------------------------------------
+const COLUMN_STORAGE_KEY = "tkd.columns.v1";
+// nested objects (own drawer sections) and fields the views already show under another key
+const COLUMN_SKIP_FIELDS = new Set(["stats", "overlay", "prev", "byStrategy"]);
+const COLUMN_ALIASES = { time_stop_bars: "hold", mean_R: "meanR", profit_factor: "pf" };
+
+function loadColumnLayouts() {
+  const v = storageGet(COLUMN_STORAGE_KEY, {});
+  return v && typeof v === "object" ? v : {};
+}
+
+function saveColumnLayouts(layouts) {
+  return storageSet(COLUMN_STORAGE_KEY, layouts);
+}
+
+function columnLayoutKey(strategy, view) {
+  return `${strategy}|${view}`;
+}
+
+// every column the view can show: its defaults, record fields, computed rr, stats.*
+function columnPool(cfg, rows, statsFields) {
+  const have = new Set(cfg.cols.map(c => c.key));
+  const taken = key => have.has(key) || have.has(COLUMN_ALIASES[key]);
+  const extras = [];
+  const renderers = {};
+
+  const fields = new Map(); // field -> numeric?
+  rows.forEach(r => {
+    Object.keys(r).forEach(f => {
+      if (COLUMN_SKIP_FIELDS.has(f)) return;
+      const v = r[f];
+      if (v !== null && typeof v === "object") return;
+      if (!fields.has(f)) fields.set(f, false);
+      if (typeof v === "number") fields.set(f, true);
+    });
+  });
+  fields.forEach((numeric, f) => {
+    if (taken(f)) return;
+    extras.push({ key: f, label: f, numeric, sortable: true, extra: true, money: MONEY_FIELDS.has(f) });
+    renderers[f] = numeric ? r => toNum(r[f]) : r => r[f] ?? "–";
+  });
+
+  if (!have.has("rr") && rows.some(r => computeRR(r) !== null)) {
+    extras.push({ key: "rr", label: "RR", numeric: true, sortable: true, extra: true });
+    renderers.rr = r => computeRR(r);
+  }
+
+  const statKeys = new Set(statsFields || DEFAULT_STATS_FIELDS);
+  rows.forEach(r => {
+    if (r.stats && typeof r.stats === "object") Object.keys(r.stats).forEach(f => statKeys.add(f));
+  });
+  const hasCommon = have.has("score");
+  statKeys.forEach(f => {
+    if (taken(f) || (hasCommon && COMMON_STATS_FIELDS.has(f))) return;
+    const key = `stats.${f}`;
+    extras.push({ key, label: EXTRA_STATS_LABELS[f] || f, fmt: f, numeric: true, sortable: true, extra: true });
+    renderers[key] = r => toNum(r.stats?.[f]);
+  });
+
+  return { cols: [...cfg.cols, ...extras], renderers };
+}
+
+function applyColumnLayout(cfg, pool, layout) {
+  const renderers = { ...cfg.renderers, ...pool.renderers };
+  if (!layout) return { ...cfg, renderers };
+
+  const byKey = new Map(pool.cols.map(c => [c.key, c]));
+  const hidden = new Set(layout.hidden || []);
+  const order = (layout.order || []).filter(k => byKey.has(k));
+  // defaults the layout does not know yet (new data) stay visible at the end
+  cfg.cols.forEach(c => { if (!order.includes(c.key)) order.push(c.key); });
+  const cols = order.filter(k => !hidden.has(k)).map(k => byKey.get(k));
+  return { ...cfg, cols: cols.length ? cols : cfg.cols, renderers };
+}
+
+// chooser entries in display order: visible first (layout order), then the rest
+function columnChoices(cfg, pool, layout) {
+  const shown = applyColumnLayout(cfg, pool, layout).cols;
+  const shownKeys = new Set(shown.map(c => c.key));
+  return [
+    ...shown.map(c => ({ col: c, show: true })),
+    ...pool.cols.filter(c => !shownKeys.has(c.key)).map(c => ({ col: c, show: false })),
+  ];
+}
+
+function setupColumnChooser({ menu, getState, onChange }) {
+  const list = menu.querySelector(".columns");
+
+  function save(choices) {
+    const { layouts, key } = getState();
+    layouts[key] = {
+      order: choices.map(x => x.col.key),
+      hidden: choices.filter(x => !x.show).map(x => x.col.key),
+    };
+    saveColumnLayouts(layouts);
+    onChange();
+    fill();
+  }
+
+  function fill() {
+    clearEl(list);
+    const { cfg, pool, layouts, key } = getState();
+    if (!cfg || !pool) return;
+    const choices = columnChoices(cfg, pool, layouts[key]);
+
+    choices.forEach((x, i) => {
+      const row = document.createElement("div");
+      row.className = "col-choice";
+
+      const label = document.createElement("label");
+      const cb = document.createElement("input");
+      cb.type = "checkbox";
+      cb.checked = x.show;
+      cb.addEventListener("change", () => {
+        x.show = cb.checked;
+        if (!choices.some(c => c.show)) x.show = true; // keep at least one column
+        save(choices);
+      });
+      label.appendChild(cb);
+      label.append(` ${x.col.group ? `${x.col.group} ` : ""}${x.col.label}`);
+      if (x.col.extra && x.col.label !== x.col.key) label.title = x.col.key;
+      row.appendChild(label);
+
+      [["▲", -1], ["▼", 1]].forEach(([txt, d]) => {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "btn btn-small";
+        btn.textContent = txt;
+        btn.disabled = !x.show || !choices[i + d]?.show;
+        btn.addEventListener("click", () => {
+          [choices[i], choices[i + d]] = [choices[i + d], choices[i]];
+          save(choices);
+        });
+        row.appendChild(btn);
+      });
+      list.appendChild(row);
+    });
+  }
+
+  menu.querySelector("[data-columns-reset]").addEventListener("click", () => {
+    const { layouts, key } = getState();
+    delete layouts[key];
+    saveColumnLayouts(layouts);
+    onChange();
+    fill();
+  });
+  menu.addEventListener("toggle", () => { if (menu.open) fill(); });
+
+  return { refresh: () => { if (menu.open) fill(); } };
+}
+
 // ---------------------------------------------------------
 // Table header + row rendering
 // ---------------------------------------------------------
 function setTableHeader(thead, cfg, sortState, onSort) {
   clearEl(thead);
+
+  // optional group row (cols with the same consecutive `group` share one cell)
+  if (cfg.cols.some(c => c.group)) {
+    const gtr = document.createElement("tr");
+    gtr.className = "groups";
+    cfg.cols.forEach((col, i) => {
+      const prev = cfg.cols[i - 1];
+      if (i > 0 && prev.group && prev.group === col.group) {
+        gtr.lastChild.colSpan += 1;
+        return;
+      }
+      const th = document.createElement("th");
+      th.textContent = col.group || "";
+      th.colSpan = 1;
+      if (col.group) th.classList.add("group");
+      gtr.appendChild(th);
+    });
+    thead.appendChild(gtr);
+  }
+
   const tr = document.createElement("tr");
 
   cfg.cols.forEach(col => {
@@ -409,7 +2166,10 @@ function setTableHeader(thead, cfg, sortState, onSort) {
 function cellText(colKey, raw) {
   if (raw === null || raw === undefined || raw === "" || raw === "–") return "–";
   if (typeof raw === "number") {
-    if (colKey === "trades" || colKey === "hold" || colKey === "shares") return fmt(raw, 0);
+    if (colKey === "trades" || colKey === "hold" || colKey === "shares" || colKey === "rank" || colKey === "sz_shares" || colKey === "flagged") return fmt(raw, 0);
+    if (colKey === "time_stop_bars" || colKey === "signal_age_days") return fmt(raw, 0);
+    if (colKey === "avg_hold") return fmt(raw, 1);
+    if (colKey === "total_R" || colKey === "median_R" || colKey === "expectancy_R") return fmt(raw, 3);
     if (colKey === "pf") return fmt(raw, 2);
     if (colKey === "score" || colKey === "meanR") return fmt(raw, 3);
     if (colKey === "rr") return fmt(raw, 2);
@@ -418,9 +2178,12 @@ function cellText(colKey, raw) {
   return String(raw);
 }
 
-function renderRow(row, cfg, gateInfo) {
+// watch: { entry, onStar } (optional) → star toggle + status badge in the symbol cell
+function renderRow(row, cfg, gateInfo, watch) {
   const tr = document.createElement("tr");
   if (gateInfo && !gateInfo.pass) tr.classList.add("gate-fail");
+  const extraCls = cfg.rowClass ? cfg.rowClass(row) : "";
+  if (extraCls) tr.classList.add(...extraCls.split(" "));
 
   cfg.cols.forEach(col => {
     const td = document.createElement("td");
@@ -431,24 +2194,60 @@ function renderRow(row, cfg, gateInfo) {
       const wrap = document.createElement("div");
       wrap.className = "symbol-wrap";
 
-      const s = normalizeStats(row.stats);
-      const band = scoreBand(s?.score ?? null);
+      const ranking = cfg.ranking || DEFAULT_RANKING;
+      const band = rankBand(ranking, ranking.value(row));
 
       const dot = document.createElement("span");
       dot.className = "rank-dot " + band.cls;
-      dot.title = band.label + " — " + tooltipText(row, gateInfo);
+      dot.title = band.label + " — " + tooltipText(row, gateInfo, ranking);
       wrap.appendChild(dot);
 
+      const rel = reliability(row.stats);
+      if (rel) {
+        const badge = document.createElement("span");
+        badge.className = `rel-badge rel-${rel.tier.key}`;
+        badge.textContent = rel.tier.bars;
+        badge.title = reliabilityText(rel);
+        wrap.appendChild(badge);
+      }
+
       const txt = document.createElement("span");
       const sym = cfg.renderers.symbol ? cfg.renderers.symbol(row) : (row.symbol ?? "–");
       txt.textContent = cellText("symbol", sym);
       wrap.appendChild(txt);
 
+      if (watch) {
+        const e = watch.entry;
+        const star = document.createElement("button");
+        star.type = "button";
+        star.className = "star" + (e?.star ? " on" : "");
+        star.textContent = e?.star ? "★" : "☆";
+        star.title = e?.star ? "Von der Watchlist nehmen" : "Auf die Watchlist";
+        star.addEventListener("click", ev => {
+          ev.stopPropagation();
+          watch.onStar();
+        });
+        wrap.insertBefore(star, dot);
+
+        if (e?.status || e?.note) {
+          const badge = document.createElement("span");
+          badge.className = `watch-badge watch-${e.status || "note"}`;
+          badge.textContent = e.status ? WATCH_BADGES[e.status] : "✎";
+          badge.title = watchTitle(e);
+          wrap.appendChild(badge);
+        }
+      }
+
+      const events = eventBadges(row);
+      if (events) wrap.appendChild(events);
+
       td.appendChild(wrap);
+    } else if (col.editor) {
+      td.appendChild(col.editor(row));
     } else {
-      const renderer = cfg.renderers?.[col.key];
-      const raw = renderer ? renderer(row) : row[col.key];
-      td.textContent = cellText(col.key, raw);
+      const raw = cellValue(row, col.key, cfg);
+      td.textContent = cellText(col.fmt || col.key, raw);
+      if (col.money && cfg.moneySuffix && typeof raw === "number") td.textContent += ` ${cfg.moneySuffix(row)}`;
     }
 
     tr.appendChild(td);
@@ -458,50 +2257,1970 @@ function renderRow(row, cfg, gateInfo) {
 }
 
 // ---------------------------------------------------------
-// Main
+// Position sizer
+// allocates the rows in their current sort order until cash, risk budget
+// or max positions run out. Fee model per order: flat + % of order value
+// (charged on entry like the pipeline; optionally on exit as well).
 // ---------------------------------------------------------
-async function main() {
-  const metaEl = document.getElementById("meta");
-  const linksEl = document.getElementById("links");
-  const thead = document.querySelector("#tbl thead");
-  const tbody = document.querySelector("#tbl tbody");
+const SIZER_STORAGE_KEY = "tkd.sizer.v1";
+const SIZER_VIEWS = new Set(["active", "edge", "trade_plan", "position_plan"]);
 
-  const strategySelect = document.getElementById("strategySelect");
-  const viewSelect = document.getElementById("viewSelect");
-  const gateSelect = document.getElementById("gateSelect"); // optional
-  const search = document.getElementById("search");
-  const titleEl = document.getElementById("tableTitle");
-  const hintEl = document.getElementById("hint");
+const SIZER_DEFAULTS = {
+  enabled: false,
+  equity: 10000,
+  riskMode: "pct", // "pct" | "amount"
+  riskPct: 1,
+  riskAmount: 100,
+  maxTotalRiskPct: 5,
+  maxPosCost: 2500,
+  maxPositions: 5,
+  feeFlat: 1,
+  feePct: 0,
+  feeBothSides: false,
+};
+
+function loadSizerSettings() {
+  const stored = storageGet(SIZER_STORAGE_KEY, {});
+  return { ...SIZER_DEFAULTS, ...(stored && typeof stored === "object" ? stored : {}) };
+}
+
+function saveSizerSettings(st) {
+  return storageSet(SIZER_STORAGE_KEY, st);
+}
+
+function orderFee(value, st) {
+  return (st.feeFlat || 0) + value * (st.feePct || 0) / 100;
+}
+
+// row -> { shares, cost, risk, fee, profit, cash, baseCost, baseRisk, status }
+// account, limits and flat fee are in the base currency of the exposure settings;
+// row amounts stay in the symbol's trading currency, cash is in the base currency
+function allocatePositions(rows, st, exposure) {
+  const out = new Map();
+  const equity = toNum(st.equity) ?? 0;
+  const riskTarget = st.riskMode === "amount" ? (toNum(st.riskAmount) ?? 0) : equity * (toNum(st.riskPct) ?? 0) / 100;
+  const maxPosCost = toNum(st.maxPosCost) ?? Infinity;
+  const maxPositions = toNum(st.maxPositions) ?? Infinity;
+
+  let cash = equity;
+  let riskLeft = equity * (toNum(st.maxTotalRiskPct) ?? 100) / 100;
+  let positions = 0;
+
+  rows.forEach(row => {
+    const buy = toNum(row.buy);
+    const sl = toNum(row.sl);
+    const tp = toNum(row.tp);
+    const skip = status => out.set(row, {
+      shares: 0, cost: null, risk: null, fee: null, profit: null, cash, baseCost: null, baseRisk: null, status,
+    });
+
+    if (buy === null || sl === null || buy <= 0) return skip("kein Buy/SL");
+    const riskPerShare = buy - sl;
+    if (riskPerShare <= 0) return skip("SL ≥ Buy");
+    if (positions >= maxPositions) return skip("max. Positionen");
+    // base currency per unit of trading currency
+    const rate = toBaseCurrency(1, currencyOf(row.universe), exposure);
+    if (rate === null) return skip(currencyOf(row.universe) ? "kein Kurs" : "Währung ?");
+
+    // largest share count that fits every limit (fee included in cost limits)
+    const baseRiskPerShare = riskPerShare * rate;
+    const perShareCost = buy * rate * (1 + (st.feePct || 0) / 100);
+    const caps = [
+      ["Risiko/Trade", Math.floor(riskTarget / baseRiskPerShare)],
+      ["Risikobudget", Math.floor(riskLeft / baseRiskPerShare)],
+      [cash < maxPosCost ? "Cash" : "max. Kosten", Math.floor((Math.min(maxPosCost, cash) - (st.feeFlat || 0)) / perShareCost)],
+    ];
+    const [binding, shares] = caps.reduce((a, b) => (b[1] < a[1] ? b : a));
+    if (shares < 1) return skip(binding);
+
+    const value = shares * buy;
+    const entryFee = orderFee(value * rate, st) / rate;
+    const exitFee = st.feeBothSides ? orderFee(shares * (tp ?? buy) * rate, st) / rate : 0;
+    const cost = value + entryFee;
+    const risk = shares * riskPerShare;
+    const profit = tp === null ? null : shares * (tp - buy) - entryFee - exitFee;
+
+    cash -= cost * rate;
+    riskLeft -= risk * rate;
+    positions += 1;
+    out.set(row, {
+      shares, cost, risk, fee: entryFee + exitFee, profit, cash, baseCost: cost * rate, baseRisk: risk * rate, status: `✓ (${binding})`,
+    });
+  });
+
+  return out;
+}
+
+function withSizerColumns(cfg, sizing, base) {
+  const get = (r, k) => sizing.get(r)?.[k] ?? null;
+  return {
+    ...cfg,
+    cols: [
+      ...cfg.cols,
+      { key: "sz_shares", label: "Stk*", numeric: true },
+      { key: "sz_cost", label: "Kosten*", numeric: true, money: true },
+      { key: "sz_risk", label: "Risiko*", numeric: true, money: true },
+      { key: "sz_fee", label: "Gebühr*", numeric: true, money: true },
+      { key: "sz_profit", label: "Exp. Gewinn*", numeric: true, money: true },
+      { key: "sz_cash", label: `Cash danach* ${currencySymbol(base)}`, numeric: true },
+      { key: "sz_status", label: "Sizing" },
+    ],
+    renderers: {
+      ...cfg.renderers,
+      sz_shares: r => get(r, "shares"),
+      sz_cost: r => get(r, "cost"),
+      sz_risk: r => get(r, "risk"),
+      sz_fee: r => get(r, "fee"),
+      sz_profit: r => get(r, "profit"),
+      sz_cash: r => get(r, "cash"),
+      sz_status: r => get(r, "status"),
+    },
+  };
+}
+
+function sizingSummary(sizing, base) {
+  let n = 0;
+  let cost = 0;
+  let risk = 0;
+  let cash = null;
+  sizing.forEach(x => {
+    if (x.shares > 0) {
+      n += 1;
+      cost += x.baseCost;
+      risk += x.baseRisk;
+    }
+    cash = x.cash;
+  });
+  const sym = currencySymbol(base);
+  return `Sizing: ${n} Position(en), Kosten ${fmt(cost)} ${sym}, Risiko ${fmt(risk)} ${sym}, Cash danach ${fmt(cash)} ${sym}`;
+}
+
+// inputs carry data-sizer="<setting>"; numbers, selects and checkboxes
+function setupSizer({ onChange }) {
+  const panel = document.getElementById("sizerPanel");
+  const toggleBtn = document.getElementById("sizerBtn");
+  const inputs = [...panel.querySelectorAll("[data-sizer]")];
+  const settings = loadSizerSettings();
+
+  function fill() {
+    inputs.forEach(el => {
+      const v = settings[el.dataset.sizer];
+      if (el.type === "checkbox") el.checked = !!v;
+      else el.value = v ?? "";
+    });
+    toggleBtn.classList.toggle("active", !!settings.enabled);
+  }
+
+  inputs.forEach(el => {
+    el.addEventListener(el.tagName === "SELECT" || el.type === "checkbox" ? "change" : "input", () => {
+      const key = el.dataset.sizer;
+      if (el.type === "checkbox") settings[key] = el.checked;
+      else if (el.type === "number") settings[key] = toNum(el.value);
+      else settings[key] = el.value;
+      saveSizerSettings(settings);
+      toggleBtn.classList.toggle("active", !!settings.enabled);
+      onChange(settings);
+    });
+  });
+
+  document.getElementById("sizerReset").addEventListener("click", () => {
+    Object.assign(settings, SIZER_DEFAULTS, { enabled: settings.enabled });
+    saveSizerSettings(settings);
+    fill();
+    onChange(settings);
+  });
+
+  toggleBtn.addEventListener("click", () => {
+    panel.hidden = !panel.hidden;
+  });
+
+  fill();
+  return settings;
+}
+
+// ---------------------------------------------------------
+// EDGE check (morning routine before EDGE orders)
+// today's open per symbol vs. max_allowed_open; prices are typed per row or
+// pasted as "SYMBOL PRICE" lines and kept per asof (last EDGE_KEEP_DAYS days)
+// ---------------------------------------------------------
+const EDGE_STORAGE_KEY = "tkd.edge.v1";
+const EDGE_VIEWS = new Set(["edge"]);
+const EDGE_KEEP_DAYS = 5;
+const EDGE_DEFAULTS = {
+  enabled: false,
+  maxAge: null, // signal_age_days filter, null = all
+  opens: {}, // asof -> { SYMBOL: price }
+};
+const EDGE_STATUS = { valid: "✓ gültig", gap: "⚠ Gap", invalid: "✕ ungültig", missing: "… Open fehlt" };
+
+function loadEdgeSettings() {
+  const stored = storageGet(EDGE_STORAGE_KEY, {});
+  const st = { ...EDGE_DEFAULTS, ...(stored && typeof stored === "object" ? stored : {}) };
+  if (!st.opens || typeof st.opens !== "object") st.opens = {};
+  return st;
+}
+
+function saveEdgeSettings(st) {
+  const keep = Object.keys(st.opens).sort().slice(-EDGE_KEEP_DAYS);
+  st.opens = Object.fromEntries(keep.map(d => [d, st.opens[d]]));
+  return storageSet(EDGE_STORAGE_KEY, st);
+}
+
+// "381,50", "1.234,5", "1234.5": the last . or , is the decimal mark
+function parseDecimal(text) {
+  const t = String(text).trim();
+  const dec = Math.max(t.lastIndexOf("."), t.lastIndexOf(","));
+  if (dec < 0) return toNum(t);
+  return toNum(`${t.slice(0, dec).replace(/[.,]/g, "")}.${t.slice(dec + 1)}`);
+}
+
+// "ALV 381.5", "dax:ALV;381,50", tab separated … -> { prices, errors }
+function parseOpenPrices(text) {
+  const prices = {};
+  const errors = [];
+  String(text || "").split(/\r?\n/).forEach(line => {
+    const t = line.trim();
+    if (!t) return;
+    const m = t.match(/^(?:[\w.-]+:)?([A-Za-z0-9.\-^]+)[\s;,]+([\d.,]+)$/);
+    const price = m ? parseDecimal(m[2]) : null;
+    if (!m || price === null || price <= 0) errors.push(t);
+    else prices[m[1].toUpperCase()] = price;
+  });
+  return { prices, errors };
+}
+
+function edgeCheck(row, open) {
+  const sl = toNum(row.sl);
+  const tp = toNum(row.tp);
+  const max = toNum(row.max_allowed_open);
+  const rr = open !== null && sl !== null && tp !== null && open > sl ? (tp - open) / (open - sl) : null;
+
+  if (row.invalid_reason) return { status: "invalid", text: `${EDGE_STATUS.invalid}: ${row.invalid_reason}`, rr, open };
+  if (open === null) return { status: "missing", text: EDGE_STATUS.missing, rr, open };
+  if (sl !== null && open <= sl) return { status: "invalid", text: `${EDGE_STATUS.invalid}: Open ≤ SL`, rr, open };
+  if (max !== null && open > max) {
+    return { status: "gap", text: `${EDGE_STATUS.gap} +${fmt((open / max - 1) * 100, 1)} % über Max`, rr, open };
+  }
+  return { status: "valid", text: EDGE_STATUS.valid, rr, open };
+}
+
+function edgeAgeOk(row, maxAge) {
+  if (maxAge === null || maxAge === undefined) return true;
+  const age = toNum(row.signal_age_days);
+  return age !== null && age <= maxAge;
+}
+
+// checks: Map row -> edgeCheck result; openEditor(row) -> <input> for the Open cell
+function withEdgeColumns(cfg, checks, openEditor) {
+  const have = new Set(cfg.cols.map(c => c.key));
+  const cols = [
+    { key: "signal_age_days", label: "Sig. Alter", numeric: true, sortable: true },
+    { key: "max_allowed_open", label: "Max Open", numeric: true, sortable: true },
+    { key: "edge_open", label: "Open heute", numeric: true, sortable: true, editor: openEditor },
+    { key: "edge_status", label: "Check", sortable: true },
+    { key: "edge_rr", label: "RR (Open)", fmt: "rr", numeric: true, sortable: true },
+  ].filter(c => !have.has(c.key));
+  const at = cfg.cols.findIndex(c => c.key === "rr");
+  const merged = cfg.cols.slice();
+  merged.splice(at >= 0 ? at + 1 : merged.length, 0, ...cols);
+  return {
+    ...cfg,
+    cols: merged,
+    renderers: {
+      ...cfg.renderers,
+      signal_age_days: r => toNum(r.signal_age_days),
+      max_allowed_open: r => toNum(r.max_allowed_open),
+      edge_open: r => checks.get(r)?.open ?? null,
+      edge_status: r => checks.get(r)?.text ?? "–",
+      edge_rr: r => checks.get(r)?.rr ?? null,
+    },
+    rowClass: r => [cfg.rowClass?.(r), checks.has(r) ? `edge-${checks.get(r).status}` : ""].filter(Boolean).join(" "),
+  };
+}
+
+function edgeSummary(checks) {
+  const n = { valid: 0, gap: 0, invalid: 0, missing: 0 };
+  checks.forEach(c => { n[c.status] += 1; });
+  return `EDGE-Check: ${n.valid} gültig, ${n.gap} Gap, ${n.invalid} ungültig, ${n.missing} ohne Open`;
+}
+
+// inputs carry data-edge="<setting>"; bulk paste in #edgePaste
+function setupEdgeCheck({ getSymbols, getAsof, onChange }) {
+  const panel = document.getElementById("edgePanel");
+  const toggleBtn = document.getElementById("edgeBtn");
+  const enabledEl = panel.querySelector('[data-edge="enabled"]');
+  const maxAgeEl = panel.querySelector('[data-edge="maxAge"]');
+  const pasteEl = document.getElementById("edgePaste");
+  const msgEl = document.getElementById("edgeMsg");
+  const settings = loadEdgeSettings();
+
+  const opensToday = () => settings.opens[getAsof()] || {};
+
+  function fill() {
+    enabledEl.checked = !!settings.enabled;
+    maxAgeEl.value = settings.maxAge ?? "";
+    toggleBtn.classList.toggle("active", !!settings.enabled);
+  }
+
+  function store(prices) {
+    const asof = getAsof();
+    settings.opens[asof] = { ...opensToday(), ...prices };
+    Object.keys(settings.opens[asof]).forEach(k => {
+      if (settings.opens[asof][k] === null) delete settings.opens[asof][k];
+    });
+    saveEdgeSettings(settings);
+  }
+
+  enabledEl.addEventListener("change", () => {
+    settings.enabled = enabledEl.checked;
+    saveEdgeSettings(settings);
+    fill();
+    onChange();
+  });
+  maxAgeEl.addEventListener("input", () => {
+    settings.maxAge = toNum(maxAgeEl.value);
+    saveEdgeSettings(settings);
+    onChange();
+  });
+
+  document.getElementById("edgeApply").addEventListener("click", () => {
+    const { prices, errors } = parseOpenPrices(pasteEl.value);
+    const known = getSymbols();
+    const unknown = Object.keys(prices).filter(sym => !known.has(sym));
+    const n = Object.keys(prices).length;
+    if (n) {
+      store(prices);
+      settings.enabled = true;
+      fill();
+      onChange();
+    }
+    const parts = [`${n} Open-Preis(e) übernommen (Stand ${getAsof()})`];
+    if (unknown.length) parts.push(`nicht in Edge: ${unknown.join(", ")}`);
+    if (errors.length) parts.push(`nicht lesbar: ${errors.slice(0, 5).join(" | ")}${errors.length > 5 ? " …" : ""}`);
+    msgEl.textContent = parts.join(" • ");
+    if (!errors.length) pasteEl.value = "";
+  });
+
+  document.getElementById("edgeClear").addEventListener("click", () => {
+    delete settings.opens[getAsof()];
+    saveEdgeSettings(settings);
+    msgEl.textContent = `Open-Preise für ${getAsof()} gelöscht.`;
+    onChange();
+  });
+
+  toggleBtn.addEventListener("click", () => {
+    panel.hidden = !panel.hidden;
+  });
+
+  fill();
+  return {
+    settings,
+    openFor: row => opensToday()[String(row.symbol || "").toUpperCase()] ?? null,
+    setOpen: (row, price) => store({ [String(row.symbol || "").toUpperCase()]: price }),
+  };
+}
+
+// ---------------------------------------------------------
+// Charts (plain SVG, no library)
+// ---------------------------------------------------------
+const SVG_NS = "http://www.w3.org/2000/svg";
+const CHART_SIZE = { w: 520, h: 280, l: 52, r: 14, t: 14, b: 40 };
+
+function svgEl(tag, attrs = {}, text) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([k, v]) => el.setAttribute(k, typeof v === "number" ? +v.toFixed(1) : v));
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+function niceTicks(min, max, count = 5) {
+  if (min === max) {
+    min -= 1;
+    max += 1;
+  }
+  const raw = (max - min) / count;
+  const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+  const err = raw / mag;
+  const step = mag * (err >= 7.5 ? 10 : err >= 3.5 ? 5 : err >= 1.5 ? 2 : 1);
+  const lo = Math.floor(min / step) * step;
+  const hi = Math.ceil(max / step) * step;
+  const ticks = [];
+  for (let v = lo; v <= hi + step / 2; v += step) ticks.push(+v.toPrecision(12));
+  return { lo, hi, ticks };
+}
+
+function tickText(v) {
+  return Math.abs(v) >= 1000 ? fmt(v, 0) : String(+v.toPrecision(4));
+}
+
+// empty svg with grid, axes and labels; returns scale functions
+function chartFrame(xs, ys, xLabel, yLabel, { xTicks = true } = {}) {
+  const { w, h, l, r, t, b } = CHART_SIZE;
+  const svg = svgEl("svg", { viewBox: `0 0 ${w} ${h}`, class: "chart" });
+  const sx = v => l + (v - xs.lo) / (xs.hi - xs.lo) * (w - l - r);
+  const sy = v => h - b - (v - ys.lo) / (ys.hi - ys.lo) * (h - t - b);
+
+  ys.ticks.forEach(v => {
+    svg.appendChild(svgEl("line", { x1: l, x2: w - r, y1: sy(v), y2: sy(v), class: "grid" }));
+    svg.appendChild(svgEl("text", { x: l - 6, y: sy(v) + 4, class: "tick", "text-anchor": "end" }, tickText(v)));
+  });
+  if (xTicks) {
+    xs.ticks.forEach(v => {
+      svg.appendChild(svgEl("line", { x1: sx(v), x2: sx(v), y1: t, y2: h - b, class: "grid" }));
+      svg.appendChild(svgEl("text", { x: sx(v), y: h - b + 16, class: "tick", "text-anchor": "middle" }, tickText(v)));
+    });
+  }
+  svg.appendChild(svgEl("text", { x: (l + w - r) / 2, y: h - 4, class: "axis-label", "text-anchor": "middle" }, xLabel));
+  svg.appendChild(svgEl("text", {
+    x: 12, y: (t + h - b) / 2, class: "axis-label", "text-anchor": "middle",
+    transform: `rotate(-90 12 ${(t + h - b) / 2})`,
+  }, yLabel));
+  return { svg, sx, sy };
+}
+
+function chartEmpty(text) {
+  const p = document.createElement("p");
+  p.className = "hint";
+  p.textContent = text;
+  return p;
+}
+
+// points: [{ x, y, size, cls, key, title }]; size 0..1 (e.g. trades relative to max)
+function scatterChart(points, { xLabel, yLabel, onPick }) {
+  if (!points.length) return chartEmpty("Keine Zeilen mit beiden Werten.");
+  const xs = niceTicks(Math.min(...points.map(p => p.x)), Math.max(...points.map(p => p.x)));
+  const ys = niceTicks(Math.min(...points.map(p => p.y)), Math.max(...points.map(p => p.y)));
+  const { svg, sx, sy } = chartFrame(xs, ys, xLabel, yLabel);
+
+  // large dots first so small ones stay clickable
+  points.slice().sort((a, b) => b.size - a.size).forEach(p => {
+    const c = svgEl("circle", { cx: sx(p.x), cy: sy(p.y), r: 3 + 7 * Math.sqrt(p.size), class: `dot ${p.cls}` });
+    c.dataset.key = p.key;
+    c.appendChild(svgEl("title", {}, p.title));
+    c.addEventListener("click", () => onPick(p));
+    svg.appendChild(c);
+  });
+  return svg;
+}
+
+// groups: [{ label, pass, fail }] stacked (fail on top)
+function stackedBarChart(groups, { yLabel, showFail }) {
+  if (!groups.length) return chartEmpty("Keine Zeilen.");
+  const ys = niceTicks(0, Math.max(...groups.map(g => g.pass + g.fail)));
+  const xs = { lo: 0, hi: groups.length, ticks: [] };
+  const { svg, sx, sy } = chartFrame(xs, ys, "Universe", yLabel, { xTicks: false });
+  const bw = (sx(1) - sx(0)) * 0.6;
+
+  groups.forEach((g, i) => {
+    const x = sx(i + 0.5) - bw / 2;
+    const bar = (from, n, cls, label) => {
+      if (!n) return;
+      const rect = svgEl("rect", { x, y: sy(from + n), width: bw, height: sy(from) - sy(from + n), class: cls });
+      rect.appendChild(svgEl("title", {}, `${g.label}: ${n} ${label}`));
+      svg.appendChild(rect);
+    };
+    bar(0, g.pass, "bar-pass", showFail ? "Gate PASS" : "Zeilen");
+    bar(g.pass, g.fail, "bar-fail", "Gate FAIL");
+    svg.appendChild(svgEl("text", { x: sx(i + 0.5), y: CHART_SIZE.h - CHART_SIZE.b + 16, class: "tick", "text-anchor": "middle" }, g.label));
+  });
+  return svg;
+}
+
+function histogramChart(values, label) {
+  if (!values.length) return chartEmpty(`${label}: keine Werte in den angezeigten Zeilen.`);
+  const min = Math.min(...values);
+  let max = Math.max(...values);
+  if (max - min <= 1e-9 * Math.max(1, Math.abs(max))) max = min; // float noise (e.g. RR 2.5000000001)
+  // integer data (days) and a single value get one bar per value, centred on it
+  const discrete = max === min || (values.every(Number.isInteger) && max - min < 40);
+  const bins = discrete ? Math.round(max - min) + 1 : Math.min(20, Math.ceil(Math.sqrt(values.length)));
+  const width = discrete ? Math.max(1, (max - min) / (bins - 1 || 1)) : (max - min) / bins;
+  const start = discrete ? min - width / 2 : min;
+  const counts = new Array(bins).fill(0);
+  values.forEach(v => { counts[Math.min(bins - 1, Math.floor((v - start) / width))]++; });
+
+  const xs = niceTicks(start, start + bins * width, 4);
+  const ys = niceTicks(0, Math.max(...counts), 4);
+  const { svg, sx, sy } = chartFrame(xs, ys, label, "Anzahl");
+  counts.forEach((n, i) => {
+    if (!n) return;
+    const x0 = start + i * width;
+    const rect = svgEl("rect", {
+      x: sx(x0) + 1, y: sy(n), width: Math.max(1, sx(x0 + width) - sx(x0) - 2), height: sy(0) - sy(n), class: "bar-hist",
+    });
+    const range = discrete ? tickText(x0 + width / 2) : `${tickText(x0)} – ${tickText(x0 + width)}`;
+    rect.appendChild(svgEl("title", {}, `${range}: ${n}`));
+    svg.appendChild(rect);
+  });
+  return svg;
+}
+
+// ---------------------------------------------------------
+// Watchlist + decision notes
+// keyed "<strategy>|<universe>:<symbol>", so they show on every archive day
+// entry: { star, status, reason, note, steps: { <step>: "ok"|"fail" }, updated }
+// ---------------------------------------------------------
+const WATCH_STORAGE_KEY = "tkd.watch.v1";
+const WATCH_STATUSES = [
+  ["", "–"],
+  ["watching", "Beobachten"],
+  ["taken", "Genommen"],
+  ["skipped", "Ausgelassen"],
+  ["rejected", "Abgelehnt"],
+];
+const WATCH_BADGES = { watching: "👁", taken: "✓", skipped: "⏭", rejected: "✕" };
+// discipline workflow (README): gate → plan → quality → setup → feasibility
+const WORKFLOW_STEPS = [
+  ["gate", "Gate"],
+  ["plan", "Trade Plan"],
+  ["quality", "Qualität (Ampel)"],
+  ["setup", "Setup (RR, SL)"],
+  ["feasible", "Machbarkeit"],
+];
+
+function loadWatchlist() {
+  const v = storageGet(WATCH_STORAGE_KEY, {});
+  return v && typeof v === "object" ? v : {};
+}
+
+function saveWatchlist(list) {
+  return storageSet(WATCH_STORAGE_KEY, list);
+}
+
+function watchKey(strategy, row) {
+  return `${strategy}|${symbolKey(row)}`;
+}
+
+function isWatched(entry) {
+  return !!entry && (entry.star || !!entry.status);
+}
+
+function isWatchEmpty(entry) {
+  return !entry.star && !entry.status && !entry.reason && !entry.note &&
+    !Object.values(entry.steps || {}).some(Boolean);
+}
+
+function updateWatch(list, key, patch) {
+  const entry = { ...(list[key] || {}), ...patch, updated: new Date().toISOString() };
+  if (isWatchEmpty(entry)) delete list[key];
+  else list[key] = entry;
+  saveWatchlist(list);
+  return list[key] || null;
+}
+
+function watchStatusLabel(status) {
+  return (WATCH_STATUSES.find(([v]) => v === status) || WATCH_STATUSES[0])[1];
+}
+
+function watchTitle(entry) {
+  const parts = [];
+  if (entry.status) parts.push(watchStatusLabel(entry.status) + (entry.reason ? `: ${entry.reason}` : ""));
+  if (entry.note) parts.push(entry.note);
+  return parts.join(" — ");
+}
+
+// import: per key the newer entry wins
+function mergeWatchlists(list, incoming) {
+  let n = 0;
+  Object.entries(incoming || {}).forEach(([key, entry]) => {
+    if (!entry || typeof entry !== "object" || !key.includes("|")) return;
+    const cur = list[key];
+    if (cur && String(cur.updated || "") >= String(entry.updated || "")) return;
+    list[key] = entry;
+    n++;
+  });
+  saveWatchlist(list);
+  return n;
+}
+
+function watchSection(entry, onChange) {
+  const e = entry || {};
+  const box = document.createElement("div");
+  box.className = "watch-form";
+
+  const row1 = document.createElement("div");
+  row1.className = "panel-row";
+  const star = document.createElement("button");
+  star.type = "button";
+  star.className = "btn btn-small" + (e.star ? " active" : "");
+  star.textContent = e.star ? "★ Auf Watchlist" : "☆ Merken";
+  star.addEventListener("click", () => onChange({ star: !e.star }));
+  row1.appendChild(star);
+
+  const status = document.createElement("select");
+  WATCH_STATUSES.forEach(([v, label]) => {
+    const opt = document.createElement("option");
+    opt.value = v;
+    opt.textContent = label;
+    status.appendChild(opt);
+  });
+  status.value = e.status || "";
+  status.addEventListener("change", () => onChange({ status: status.value }));
+  row1.appendChild(status);
+  box.appendChild(row1);
+
+  const reason = document.createElement("input");
+  reason.type = "text";
+  reason.placeholder = "Grund der Ablehnung";
+  reason.value = e.reason || "";
+  reason.hidden = e.status !== "rejected";
+  reason.addEventListener("change", () => onChange({ reason: reason.value.trim() }));
+  box.appendChild(reason);
+
+  const steps = document.createElement("div");
+  steps.className = "watch-steps";
+  WORKFLOW_STEPS.forEach(([key, label]) => {
+    const lab = document.createElement("label");
+    lab.textContent = label;
+    const sel = document.createElement("select");
+    [["", "–"], ["ok", "✓ ok"], ["fail", "✗ nicht ok"]].forEach(([v, t]) => {
+      const opt = document.createElement("option");
+      opt.value = v;
+      opt.textContent = t;
+      sel.appendChild(opt);
+    });
+    sel.value = e.steps?.[key] || "";
+    sel.addEventListener("change", () => onChange({ steps: { ...(e.steps || {}), [key]: sel.value } }));
+    lab.appendChild(sel);
+    steps.appendChild(lab);
+  });
+  box.appendChild(steps);
+
+  const note = document.createElement("textarea");
+  note.rows = 3;
+  note.placeholder = "Notiz (warum genommen / ausgelassen …)";
+  note.value = e.note || "";
+  note.addEventListener("change", () => onChange({ note: note.value.trim() }));
+  box.appendChild(note);
+
+  if (e.updated) {
+    const p = document.createElement("p");
+    p.className = "hint";
+    p.textContent = `Zuletzt geändert: ${e.updated.slice(0, 16).replace("T", " ")} UTC`;
+    box.appendChild(p);
+  }
+  return box;
+}
+
+// ---------------------------------------------------------
+// Trade journal
+// entries: { id, strategy, universe, symbol, mode, entryDate, entry, sl, tp, shares,
+//            stats (snapshot at entry), exitDate, exit, exitReason, note, created }
+// realized R = (exit - entry) / (entry - sl)
+// ---------------------------------------------------------
+const JOURNAL_STORAGE_KEY = "tkd.journal.v1";
+const JOURNAL_EXIT_REASONS = [
+  ["", "– offen –"],
+  ["tp", "TP erreicht"],
+  ["sl", "SL erreicht"],
+  ["time", "Time Stop"],
+  ["manual", "Manuell"],
+];
+// form inputs carry data-journal="<field>"
+const JOURNAL_NUMBER_FIELDS = new Set(["entry", "sl", "tp", "shares", "exit"]);
+
+function loadJournal() {
+  const v = storageGet(JOURNAL_STORAGE_KEY, []);
+  return Array.isArray(v) ? v.filter(e => e && typeof e === "object" && e.id) : [];
+}
+
+function saveJournal(entries) {
+  return storageSet(JOURNAL_STORAGE_KEY, entries);
+}
+
+function newJournalEntry(row, { strategy, asof, shares }) {
+  return {
+    id: `j${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    strategy,
+    universe: row?.universe ?? "",
+    symbol: row?.symbol ?? "",
+    mode: row?.mode ?? "",
+    entryDate: row?.entry_date ?? row?.trade_date ?? asof ?? "",
+    entry: toNum(row?.buy),
+    sl: toNum(row?.sl),
+    tp: toNum(row?.tp),
+    shares: shares ?? toNum(row?.shares),
+    stats: row?.stats ? { ...row.stats } : null,
+    exitDate: "",
+    exit: null,
+    exitReason: "",
+    note: "",
+    created: new Date().toISOString(),
+  };
+}
+
+function realizedR(e) {
+  const risk = toNum(e.entry) - toNum(e.sl);
+  if (toNum(e.exit) === null || !(risk > 0)) return null;
+  return (toNum(e.exit) - toNum(e.entry)) / risk;
+}
+
+// realized vs. expected (mean of the entry-time backtest stats of the same trades)
+function journalStats(entries) {
+  const closed = entries.map(e => ({ e, r: realizedR(e) })).filter(x => x.r !== null);
+  const rs = closed.map(x => x.r);
+  const gain = rs.filter(r => r > 0).reduce((a, b) => a + b, 0);
+  const loss = -rs.filter(r => r < 0).reduce((a, b) => a + b, 0);
+  const mean = vals => {
+    const v = vals.filter(x => x !== null && Number.isFinite(x));
+    return v.length ? v.reduce((a, b) => a + b, 0) / v.length : null;
+  };
+  const st = closed.map(x => normalizeStats(x.e.stats));
+  return {
+    n: entries.length,
+    closed: closed.length,
+    totalR: rs.reduce((a, b) => a + b, 0),
+    winRate: rs.length ? rs.filter(r => r > 0).length / rs.length : null,
+    meanR: mean(rs),
+    pf: loss > 0 ? gain / loss : (gain > 0 ? Infinity : null),
+    expWinRate: mean(closed.map(x => toNum(x.e.stats?.win_rate))),
+    expMeanR: mean(st.map(s => s?.meanR ?? null)),
+    expPf: mean(st.map(s => s?.pf ?? null)),
+  };
+}
+
+function journalBreakdown(entries, keyFn) {
+  const groups = new Map();
+  entries.forEach(e => {
+    const k = keyFn(e);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(e);
+  });
+  return [...groups.entries()]
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([label, list]) => ({ label, ...journalStats(list) }));
+}
+
+function equityCurveChart(entries) {
+  const closed = entries
+    .map(e => ({ e, r: realizedR(e) }))
+    .filter(x => x.r !== null)
+    .sort((a, b) => String(a.e.exitDate).localeCompare(String(b.e.exitDate)));
+  if (!closed.length) return chartEmpty("Noch keine geschlossenen Trades.");
+
+  let cum = 0;
+  const pts = [{ i: 0, v: 0, label: "Start" }, ...closed.map((x, i) => {
+    cum += x.r;
+    return { i: i + 1, v: cum, label: `${x.e.exitDate || "?"} ${x.e.symbol}: ${fmt(x.r, 2)}R → ${fmt(cum, 2)}R` };
+  })];
+  const xs = niceTicks(0, pts.length - 1, Math.min(5, pts.length - 1 || 1));
+  const ys = niceTicks(Math.min(0, ...pts.map(p => p.v)), Math.max(0, ...pts.map(p => p.v)));
+  const { svg, sx, sy } = chartFrame(xs, ys, "Trade # (nach Exit-Datum)", "kumuliert R");
+  svg.appendChild(svgEl("line", { x1: sx(xs.lo), x2: sx(xs.hi), y1: sy(0), y2: sy(0), class: "zero" }));
+  svg.appendChild(svgEl("polyline", { points: pts.map(p => `${+sx(p.i).toFixed(1)},${+sy(p.v).toFixed(1)}`).join(" "), class: "equity" }));
+  pts.slice(1).forEach(p => {
+    const c = svgEl("circle", { cx: sx(p.i), cy: sy(p.v), r: 3, class: "equity-pt" });
+    c.appendChild(svgEl("title", {}, p.label));
+    svg.appendChild(c);
+  });
+  return svg;
+}
+
+function journalStatsTable(rows, firstLabel) {
+  const table = document.createElement("table");
+  table.className = "mini";
+  const head = [firstLabel, "Trades", "geschl.", "Win% real", "Win% BT", "meanR real", "meanR BT", "PF real", "PF BT", "Σ R"];
+  const thead = document.createElement("thead");
+  const htr = document.createElement("tr");
+  head.forEach(h => {
+    const th = document.createElement("th");
+    th.textContent = h;
+    htr.appendChild(th);
+  });
+  thead.appendChild(htr);
+  table.appendChild(thead);
+
+  const tbody = document.createElement("tbody");
+  const pct = v => (v === null ? "–" : `${fmt(v * 100, 0)}%`);
+  const num = (v, d) => (v === null ? "–" : v === Infinity ? "∞" : fmt(v, d));
+  rows.forEach(r => {
+    const tr = document.createElement("tr");
+    [r.label, String(r.n), String(r.closed), pct(r.winRate), pct(r.expWinRate),
+      num(r.meanR, 2), num(r.expMeanR, 2), num(r.pf, 2), num(r.expPf, 2), num(r.closed ? r.totalR : null, 2)]
+      .forEach((v, i) => {
+        const td = document.createElement("td");
+        if (i > 0) td.className = "num";
+        td.textContent = v;
+        tr.appendChild(td);
+      });
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+  return table;
+}
+
+function setupJournal() {
+  const panel = document.getElementById("journalPanel");
+  const toggleBtn = document.getElementById("journalBtn");
+  const form = document.getElementById("journalForm");
+  const inputs = [...form.querySelectorAll("[data-journal]")];
+  const listBody = document.querySelector("#journalTable tbody");
+  const msgEl = document.getElementById("journalMsg");
+  const importInput = document.getElementById("journalImport");
+
+  let entries = loadJournal();
+  let draft = null;
+
+  const reasonSel = form.querySelector('[data-journal="exitReason"]');
+  JOURNAL_EXIT_REASONS.forEach(([v, label]) => {
+    const opt = document.createElement("option");
+    opt.value = v;
+    opt.textContent = label;
+    reasonSel.appendChild(opt);
+  });
+
+  function edit(entry) {
+    draft = { ...entry };
+    inputs.forEach(el => { el.value = draft[el.dataset.journal] ?? ""; });
+    form.hidden = false;
+    panel.hidden = false;
+    toggleBtn.classList.add("active");
+    updatePreview();
+    msgEl.textContent = "";
+    form.scrollIntoView?.({ block: "nearest" });
+  }
+
+  function updatePreview() {
+    const r = draft ? realizedR(draft) : null;
+    document.getElementById("journalR").textContent = r === null ? "R: –" : `R: ${fmt(r, 2)}`;
+  }
+
+  inputs.forEach(el => {
+    el.addEventListener("input", () => {
+      if (!draft) return;
+      const k = el.dataset.journal;
+      draft[k] = JOURNAL_NUMBER_FIELDS.has(k) ? toNum(el.value) : el.value.trim();
+      updatePreview();
+    });
+  });
+
+  function persist(text) {
+    saveJournal(entries);
+    msgEl.textContent = text;
+    renderJournal();
+  }
+
+  document.getElementById("journalSave").addEventListener("click", () => {
+    if (!draft) return;
+    if (!draft.symbol || toNum(draft.entry) === null || toNum(draft.sl) === null) {
+      msgEl.textContent = "Symbol, Entry und SL sind Pflicht.";
+      return;
+    }
+    if (draft.exitReason && toNum(draft.exit) === null) {
+      msgEl.textContent = "Exit-Grund gesetzt, aber kein Exit-Preis.";
+      return;
+    }
+    const i = entries.findIndex(e => e.id === draft.id);
+    if (i >= 0) entries[i] = draft;
+    else entries.push(draft);
+    form.hidden = true;
+    const saved = draft;
+    draft = null;
+    persist(`Gespeichert: ${saved.symbol}.`);
+  });
+
+  document.getElementById("journalCancel").addEventListener("click", () => {
+    draft = null;
+    form.hidden = true;
+  });
+
+  document.getElementById("journalNew").addEventListener("click", () => {
+    edit(newJournalEntry(null, { strategy: "", asof: "" }));
+  });
+
+  document.getElementById("journalExport").addEventListener("click", () => {
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadText(`tkd_journal_${stamp}.json`, JSON.stringify({ version: 1, journal: entries }, null, 2), "application/json");
+  });
+
+  importInput.addEventListener("change", async () => {
+    const file = importInput.files?.[0];
+    importInput.value = "";
+    if (!file) return;
+    try {
+      const data = JSON.parse(await readFileText(file));
+      const list = Array.isArray(data) ? data : data?.journal;
+      if (!Array.isArray(list)) throw new Error("kein Journal (Array) gefunden");
+      const byId = new Map(entries.map(e => [e.id, e]));
+      let n = 0;
+      list.forEach(e => {
+        if (!e || typeof e !== "object" || !e.id || !e.symbol) return;
+        byId.set(e.id, e);
+        n++;
+      });
+      entries = [...byId.values()];
+      persist(`${n} Einträge importiert.`);
+    } catch (e) {
+      msgEl.textContent = `Import fehlgeschlagen: ${e.message}`;
+    }
+  });
+
+  function renderJournal() {
+    const all = journalStats(entries);
+    document.getElementById("journalSummary").textContent = entries.length
+      ? `${all.n} Trade(s), ${all.closed} geschlossen • realisiert: Win ${all.winRate === null ? "–" : fmt(all.winRate * 100, 0) + "%"}, ` +
+        `meanR ${all.meanR === null ? "–" : fmt(all.meanR, 2)}, PF ${all.pf === null ? "–" : all.pf === Infinity ? "∞" : fmt(all.pf, 2)}, ` +
+        `Σ ${fmt(all.totalR, 2)}R • Backtest bei Entry: Win ${all.expWinRate === null ? "–" : fmt(all.expWinRate * 100, 0) + "%"}, ` +
+        `meanR ${all.expMeanR === null ? "–" : fmt(all.expMeanR, 2)}, PF ${all.expPf === null ? "–" : fmt(all.expPf, 2)}`
+      : "Noch keine Einträge. Übernahme aus der Detailansicht (Trade/Position Plan) oder „Neuer Trade“.";
+
+    const curve = document.getElementById("journalCurve");
+    clearEl(curve);
+    curve.appendChild(equityCurveChart(entries));
+
+    const breakdown = document.getElementById("journalBreakdown");
+    clearEl(breakdown);
+    if (entries.length) {
+      breakdown.appendChild(journalStatsTable(journalBreakdown(entries, e => e.universe || "–"), "Universe"));
+      breakdown.appendChild(journalStatsTable(
+        journalBreakdown(entries, e => scoreBand(normalizeStats(e.stats)?.score ?? null).label),
+        "Score-Band (bei Entry)",
+      ));
+    }
+
+    clearEl(listBody);
+    entries
+      .slice()
+      .sort((a, b) => String(b.entryDate).localeCompare(String(a.entryDate)))
+      .forEach(e => {
+        const tr = document.createElement("tr");
+        const r = realizedR(e);
+        const reason = JOURNAL_EXIT_REASONS.find(([v]) => v === e.exitReason)?.[1] || "offen";
+        [e.entryDate, `${e.universe}:${e.symbol}`, fmt(e.entry, 2), fmt(e.sl, 2), cellText("shares", toNum(e.shares)),
+          e.exitDate || "–", e.exit === null ? "–" : fmt(e.exit, 2), e.exitReason ? reason : "offen",
+          r === null ? "–" : fmt(r, 2), cellText("score", toNum(normalizeStats(e.stats)?.score))]
+          .forEach(v => {
+            const td = document.createElement("td");
+            td.textContent = v ?? "–";
+            tr.appendChild(td);
+          });
+        if (r !== null) tr.classList.add(r > 0 ? "chg-added" : "chg-removed");
+
+        const td = document.createElement("td");
+        const editBtn = document.createElement("button");
+        editBtn.type = "button";
+        editBtn.className = "btn btn-small";
+        editBtn.textContent = "✎";
+        editBtn.title = "Bearbeiten / Exit eintragen";
+        editBtn.addEventListener("click", () => edit(e));
+        const delBtn = document.createElement("button");
+        delBtn.type = "button";
+        delBtn.className = "btn btn-small";
+        delBtn.textContent = "✕";
+        delBtn.title = "Löschen";
+        delBtn.addEventListener("click", () => {
+          if (!confirm(`Journal-Eintrag ${e.symbol} (${e.entryDate}) löschen?`)) return;
+          entries = entries.filter(x => x.id !== e.id);
+          persist(`Gelöscht: ${e.symbol}.`);
+        });
+        td.append(editBtn, " ", delBtn);
+        tr.appendChild(td);
+        listBody.appendChild(tr);
+      });
+  }
+
+  toggleBtn.addEventListener("click", () => {
+    panel.hidden = !panel.hidden;
+    toggleBtn.classList.toggle("active", !panel.hidden);
+  });
+
+  renderJournal();
+  return {
+    addFromRow: (row, ctx) => edit(newJournalEntry(row, ctx)),
+    has: (strategy, row) => entries.some(e => e.strategy === strategy && e.universe === row.universe && e.symbol === row.symbol),
+  };
+}
+
+// ---------------------------------------------------------
+// Currency + portfolio exposure
+// pipeline money fields are named *_usd but are in the symbol's trading currency
+// ---------------------------------------------------------
+const UNIVERSE_CURRENCY = { dax: "EUR", mdax: "EUR", sdax: "EUR", sp500: "USD" };
+const CURRENCY_SYMBOLS = { EUR: "€", USD: "$" };
+const MONEY_FIELDS = new Set(["cost_usd", "risk_usd", "fee_usd", "cash_after_usd", "exp_profit_usd", "risk_per_share"]);
+const EXPOSURE_VIEWS = new Set(["trade_plan", "position_plan"]);
+const EXPOSURE_STORAGE_KEY = "tkd.exposure.v1";
+const EXPOSURE_DEFAULTS = {
+  base: "EUR",
+  eurusd: 1.08, // USD per EUR
+  maxRisk: 500, // total open risk, base currency
+  maxUniversePct: 50, // share of total cost in one universe
+};
+
+function currencyOf(universe) {
+  return UNIVERSE_CURRENCY[String(universe || "").toLowerCase()] || null;
+}
+
+function currencySymbol(cur) {
+  return CURRENCY_SYMBOLS[cur] || cur || "?";
+}
+
+// null when the currency is unknown (universe missing in UNIVERSE_CURRENCY) or there is no rate
+function toBaseCurrency(amount, cur, st) {
+  if (amount === null || !cur) return null;
+  if (cur === st.base) return amount;
+  const rate = st.eurusd > 0 ? st.eurusd : null;
+  if (!rate) return null;
+  if (cur === "EUR" && st.base === "USD") return amount * rate;
+  if (cur === "USD" && st.base === "EUR") return amount / rate;
+  return null;
+}
+
+// money column headers get the currency symbol(s) of the shown rows;
+// with mixed currencies every money cell carries its own symbol
+function withCurrencyLabels(cfg, rows) {
+  if (!cfg.cols.some(c => c.money)) return cfg;
+  const curs = [...new Set(rows.map(r => currencyOf(r.universe) || "?"))];
+  if (!curs.length) return cfg;
+  const suffix = curs.map(currencySymbol).join("/");
+  return {
+    ...cfg,
+    cols: cfg.cols.map(c => (c.money ? { ...c, label: `${c.label.replace(/\$$/, "")} ${suffix}` } : c)),
+    moneySuffix: curs.length > 1 ? r => currencySymbol(currencyOf(r.universe)) : null,
+  };
+}
+
+function loadExposureSettings() {
+  const stored = storageGet(EXPOSURE_STORAGE_KEY, {});
+  return { ...EXPOSURE_DEFAULTS, ...(stored && typeof stored === "object" ? stored : {}) };
+}
+
+// rows: displayed rows; amounts from the sizer when active, else the record (position plan)
+function exposureSummary(rows, { sizing, settings }) {
+  const groups = new Map();
+  let cash = null;
+  rows.forEach(r => {
+    const sz = sizing?.get(r);
+    const pos = sizing
+      ? (sz?.shares > 0 ? { cost: sz.cost, risk: sz.risk, fee: sz.fee } : null)
+      : (toNum(r.cost_usd) !== null ? { cost: toNum(r.cost_usd), risk: toNum(r.risk_usd) ?? 0, fee: toNum(r.fee_usd) ?? 0 } : null);
+    if (sizing && sz) cash = sz.cash;
+    if (!sizing && toNum(r.cash_after_usd) !== null) cash = cash === null ? toNum(r.cash_after_usd) : Math.min(cash, toNum(r.cash_after_usd));
+
+    const u = r.universe || "–";
+    const g = groups.get(u) || { universe: u, currency: currencyOf(u), rows: 0, n: 0, cost: 0, risk: 0, fee: 0 };
+    g.rows++;
+    if (pos) {
+      g.n++;
+      g.cost += pos.cost;
+      g.risk += pos.risk;
+      g.fee += pos.fee;
+    }
+    groups.set(u, g);
+  });
+
+  const list = [...groups.values()].sort((a, b) => a.universe.localeCompare(b.universe));
+  const total = { n: 0, cost: 0, risk: 0, fee: 0, unconverted: [] };
+  list.forEach(g => {
+    g.baseCost = toBaseCurrency(g.cost, g.currency, settings);
+    g.baseRisk = toBaseCurrency(g.risk, g.currency, settings);
+    g.baseFee = toBaseCurrency(g.fee, g.currency, settings);
+    total.n += g.n;
+    if (g.n && g.baseCost === null) {
+      if (g.currency) total.unconverted.push(g.universe);
+      return;
+    }
+    total.cost += g.baseCost;
+    total.risk += g.baseRisk;
+    total.fee += g.baseFee;
+  });
+  list.forEach(g => { g.share = total.cost > 0 && g.baseCost !== null ? g.baseCost / total.cost : null; });
+
+  const warnings = [];
+  const sym = currencySymbol(settings.base);
+  if (settings.maxRisk > 0 && total.risk > settings.maxRisk) {
+    warnings.push(`Offenes Risiko ${fmt(total.risk)} ${sym} über Limit ${fmt(settings.maxRisk)} ${sym}.`);
+  }
+  if (settings.maxUniversePct > 0 && total.n > 1) {
+    list.forEach(g => {
+      if (g.share !== null && g.share * 100 > settings.maxUniversePct) {
+        warnings.push(`${g.universe}: ${fmt(g.share * 100, 0)}% der Kosten (${g.n} Pos.) über Limit ${fmt(settings.maxUniversePct, 0)}%.`);
+      }
+    });
+  }
+  if (total.unconverted.length) warnings.push(`Ohne EUR/USD-Kurs nicht umgerechnet: ${total.unconverted.join(", ")}.`);
+  const unknown = list.filter(g => !g.currency).map(g => g.universe);
+  if (unknown.length) warnings.push(`Keine Währung für Universe ${unknown.join(", ")} – nicht in Summen und Sizing enthalten.`);
+  // sizer cash is in the base currency, cash_after_usd of the position plan is not
+  return { groups: list, total, cash, cashBase: !!sizing, warnings, sized: list.some(g => g.n > 0) };
+}
+
+function renderExposure(el, summary, settings) {
+  clearEl(el);
+  const sym = currencySymbol(settings.base);
+  if (!summary.sized) {
+    const p = document.createElement("p");
+    p.className = "hint";
+    p.textContent = "Keine Positionsgrößen in diesen Zeilen – für Kosten/Risiko „Sizing ⚖“ aktivieren.";
+    el.appendChild(p);
+    return;
+  }
+
+  const table = document.createElement("table");
+  table.className = "mini";
+  const head = ["Universe", "Währung", "Pos.", "Kosten", "Risiko", "Gebühren", `Kosten ${sym}`, `Risiko ${sym}`, "Anteil"];
+  const tr0 = document.createElement("tr");
+  head.forEach(h => {
+    const th = document.createElement("th");
+    th.textContent = h;
+    tr0.appendChild(th);
+  });
+  const thead = document.createElement("thead");
+  thead.appendChild(tr0);
+  table.appendChild(thead);
+
+  const tbody = document.createElement("tbody");
+  const addRow = (cells, cls) => {
+    const tr = document.createElement("tr");
+    if (cls) tr.className = cls;
+    cells.forEach((v, i) => {
+      const td = document.createElement("td");
+      if (i > 1) td.className = "num";
+      td.textContent = v;
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  };
+  summary.groups.filter(g => g.n).forEach(g => {
+    const cs = currencySymbol(g.currency);
+    addRow([g.universe, g.currency || "?", String(g.n), `${fmt(g.cost)} ${cs}`, `${fmt(g.risk)} ${cs}`, `${fmt(g.fee)} ${cs}`,
+      fmt(g.baseCost), fmt(g.baseRisk), g.share === null ? "–" : `${fmt(g.share * 100, 0)}%`]);
+  });
+  const t = summary.total;
+  addRow([`Gesamt (${settings.base})`, "", String(t.n), "", "", `${fmt(t.fee)} ${sym}`, fmt(t.cost), fmt(t.risk), ""], "total");
+  table.appendChild(tbody);
+  el.appendChild(table);
+
+  const p = document.createElement("p");
+  p.className = "hint";
+  p.textContent = `Gesamt: Kosten ${fmt(t.cost)} ${sym} • Risiko ${fmt(t.risk)} ${sym} • Gebühren ${fmt(t.fee)} ${sym}` +
+    (summary.cash !== null ? ` • Cash danach ${fmt(summary.cash)}${summary.cashBase ? ` ${sym}` : ""}` : "") +
+    ` • EUR/USD ${fmt(settings.eurusd, 4)}`;
+  el.appendChild(p);
+
+  summary.warnings.forEach(w => {
+    const div = document.createElement("div");
+    div.className = "detail-warn";
+    div.textContent = `⚠ ${w}`;
+    el.appendChild(div);
+  });
+}
+
+function setupExposure({ onChange }) {
+  const inputs = [...document.querySelectorAll("[data-exposure]")];
+  const settings = loadExposureSettings();
+  inputs.forEach(el => {
+    el.value = settings[el.dataset.exposure] ?? "";
+    el.addEventListener(el.tagName === "SELECT" ? "change" : "input", () => {
+      const key = el.dataset.exposure;
+      settings[key] = el.type === "number" ? toNum(el.value) : el.value;
+      storageSet(EXPOSURE_STORAGE_KEY, settings);
+      onChange(settings);
+    });
+  });
+  return settings;
+}
+
+// ---------------------------------------------------------
+// Detail drawer (clicked row)
+// ---------------------------------------------------------
+const DETAIL_SECTIONS = [
+  ["Setup", ["trade_date", "entry_date", "buy", "sl", "tp", "rr", "risk_R", "time_stop_bars"]],
+  ["EDGE-Signal", ["signal_date", "signal_age_days", "signal_close", "max_allowed_open", "invalid_reason"]],
+  ["Position", ["shares", "cost_usd", "risk_per_share", "risk_usd", "fee_usd", "exp_profit_usd", "cash_after_usd"]],
+];
+// rendered in the header / own sections, or internal to the Changes/Rankings views
+const DETAIL_SKIP = new Set(["universe", "symbol", "mode", "stats", "overlay", "prev", "list", "change", "details"]);
+
+function symbolKey(row) {
+  return `${row.universe ?? ""}:${row.symbol ?? ""}`;
+}
+
+function detailValue(v) {
+  if (v === null || v === undefined || v === "") return "–";
+  if (typeof v === "number") return Number.isInteger(v) ? String(v) : fmt(v, 4);
+  if (typeof v === "object") return JSON.stringify(v);
+  return String(v);
+}
+
+function detailList(pairs) {
+  const dl = document.createElement("dl");
+  dl.className = "kv";
+  pairs.forEach(([k, v]) => {
+    const dt = document.createElement("dt");
+    dt.textContent = k;
+    const dd = document.createElement("dd");
+    dd.textContent = detailValue(v);
+    dl.appendChild(dt);
+    dl.appendChild(dd);
+  });
+  return dl;
+}
+
+function detailSection(title, content) {
+  const sec = document.createElement("section");
+  sec.className = "detail-section";
+  const h = document.createElement("h3");
+  h.textContent = title;
+  sec.appendChild(h);
+  if (content) sec.appendChild(content);
+  return sec;
+}
+
+// one entry per archive day the symbol shows up in (any list)
+function symbolHistory(archives, universe, symbol) {
+  const out = [];
+  archives.forEach(a => {
+    const lists = [];
+    let first = null;
+    DIFF_LISTS.forEach(([list, label]) => {
+      const hit = (a?.data?.[list] || []).find(r => r.universe === universe && r.symbol === symbol);
+      if (!hit) return;
+      lists.push(label);
+      if (!first) first = hit;
+    });
+    if (first) out.push({ asof: a.asof, lists, row: first });
+  });
+  return out.sort((x, y) => String(y.asof).localeCompare(String(x.asof)));
+}
+
+function historyTable(entries) {
+  const table = document.createElement("table");
+  table.className = "mini";
+  const thead = document.createElement("thead");
+  const htr = document.createElement("tr");
+  ["asof", "Listen", "Buy", "SL", "TP", "Score"].forEach((label, i) => {
+    const th = document.createElement("th");
+    th.textContent = label;
+    if (i >= 2) th.classList.add("num");
+    htr.appendChild(th);
+  });
+  thead.appendChild(htr);
+  table.appendChild(thead);
+
+  const tbody = document.createElement("tbody");
+  entries.forEach(e => {
+    const tr = document.createElement("tr");
+    const score = normalizeStats(e.row.stats)?.score ?? null;
+    [
+      [e.asof, false],
+      [e.lists.join(", "), false],
+      [cellText("buy", toNum(e.row.buy)), true],
+      [cellText("sl", toNum(e.row.sl)), true],
+      [cellText("tp", toNum(e.row.tp)), true],
+      [cellText("score", score), true],
+    ].forEach(([text, num]) => {
+      const td = document.createElement("td");
+      td.textContent = text;
+      if (num) td.classList.add("num");
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+  return table;
+}
+
+function renderDetail(container, row, { statsFields, gateInfo, watchEl, ranking = DEFAULT_RANKING }) {
+  clearEl(container);
+
+  const head = document.createElement("div");
+  head.className = "detail-head";
+  const band = rankBand(ranking, ranking.value(row));
+  const dot = document.createElement("span");
+  dot.className = "rank-dot " + band.cls;
+  dot.title = band.label;
+  head.appendChild(dot);
+  const title = document.createElement("h2");
+  title.textContent = row.symbol ?? "–";
+  head.appendChild(title);
+  const sub = document.createElement("div");
+  sub.className = "hint";
+  sub.textContent = [row.universe, row.mode, row.list].filter(Boolean).join(" • ");
+  head.appendChild(sub);
+  container.appendChild(head);
+
+  if (gateInfo && !gateInfo.pass) {
+    const warn = document.createElement("div");
+    warn.className = "detail-warn";
+    warn.textContent = `Gate FAIL: ${gateInfo.reasons.join(", ")}`;
+    container.appendChild(warn);
+  }
+
+  if (watchEl) container.appendChild(detailSection("Watchlist & Entscheidung", watchEl));
+
+  const shown = new Set();
+  DETAIL_SECTIONS.forEach(([title, keys]) => {
+    const present = keys.filter(k => k in row || (k === "rr" && computeRR(row) !== null));
+    if (!present.length) return;
+    present.forEach(k => shown.add(k));
+    const pairs = present.map(k => [k, k === "rr" ? computeRR(row) : row[k]]);
+    container.appendChild(detailSection(title, detailList(pairs)));
+  });
+
+  const stats = row.stats || null;
+  if (stats) {
+    const keys = [...new Set([...(statsFields || DEFAULT_STATS_FIELDS), ...Object.keys(stats)])].filter(k => k in stats);
+    container.appendChild(detailSection("Stats (Backtest)", detailList(keys.map(k => [k, stats[k]]))));
+    const rel = reliability(stats);
+    if (rel) {
+      container.appendChild(detailSection("Verlässlichkeit", detailList([
+        ["Stufe", `${rel.tier.label} (${rel.tier.bars})`],
+        ["WinRate 95 %-KI", rel.winRate === null ? null : `${fmt(rel.winLo, 2)} – ${fmt(rel.winHi, 2)}`],
+        ["Score adj.", rel.scoreAdj],
+      ])));
+    }
+  } else {
+    const p = document.createElement("p");
+    p.className = "hint";
+    p.textContent = "Kein Ranking verfügbar (stats: null).";
+    container.appendChild(detailSection("Stats (Backtest)", p));
+  }
+
+  const rest = Object.keys(row).filter(k => !shown.has(k) && !DETAIL_SKIP.has(k));
+  if (rest.length) container.appendChild(detailSection("Weitere Felder", detailList(rest.map(k => [k, row[k]]))));
+
+  const pre = document.createElement("pre");
+  pre.className = "raw";
+  pre.textContent = JSON.stringify(row.overlay ?? null, null, 2);
+  container.appendChild(detailSection("Overlay (roh)", pre));
+
+  const hist = detailSection("Historie (Archiv)");
+  hist.id = "detailHistory";
+  const loading = document.createElement("p");
+  loading.className = "hint";
+  loading.textContent = "Lade Archiv-Tage …";
+  hist.appendChild(loading);
+  container.appendChild(hist);
+  return hist;
+}
+
+// ---------------------------------------------------------
+// URL state (deep links)
+// #s=<strategy>&d=<asof>&v=<view>&g=<gate>&q=<filter>&sort=<view>:<key>:<dir>,...
+// plus view extras: c=<compare asof>, u=<universe>, rf=<ranking file>
+// and the detail drawer: sym=<universe>:<symbol>
+// omitted keys mean "default" (e.g. no d -> latest)
+// ---------------------------------------------------------
+function readHashParams() {
+  return new URLSearchParams(location.hash.replace(/^#/, ""));
+}
+
+function hasOption(selectEl, value) {
+  return value !== null && [...selectEl.options].some(o => o.value === value);
+}
+
+function encodeSorts(sortByView, defaultSortFor) {
+  return Object.entries(sortByView)
+    .filter(([view, st]) => {
+      const def = defaultSortFor(view);
+      return st && (st.key !== def?.key || st.dir !== def?.dir);
+    })
+    .map(([view, st]) => `${view}:${st.key}:${st.dir}`)
+    .join(",");
+}
+
+function decodeSorts(str) {
+  const out = {};
+  String(str || "").split(",").forEach(part => {
+    // keys may contain ":" themselves (strategy comparison columns)
+    const bits = part.split(":");
+    const view = bits[0];
+    const dir = bits[bits.length - 1];
+    const key = bits.slice(1, -1).join(":");
+    if (view && key && (dir === "asc" || dir === "desc")) out[view] = { key, dir };
+  });
+  return out;
+}
+
+// ---------------------------------------------------------
+// Export (exactly the rendered rows + columns)
+// CSV/JSON carry raw values, TSV carries the displayed text
+// ---------------------------------------------------------
+// order list only where rows are buy setups (not Changes/Rankings/Strategies)
+const ORDER_VIEWS = new Set(["active", "edge", "trade_plan", "position_plan"]);
+
+function csvField(v, sep = ",") {
+  const s = v === null || v === undefined ? "" : String(v);
+  return s.includes(sep) || s.includes('"') || /[\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function exportValue(cfg, col, row) {
+  const raw = cellValue(row, col.key, cfg);
+  if (raw === null || raw === undefined || raw === "" || raw === "–") return null;
+  return raw;
+}
+
+function exportColumnLabel(col) {
+  return col.group ? `${col.group} ${col.label}` : col.label;
+}
+
+function tableToCSV(cfg, rows, sep = ",", display = false) {
+  const lines = [cfg.cols.map(c => csvField(exportColumnLabel(c), sep)).join(sep)];
+  rows.forEach(r => {
+    lines.push(cfg.cols.map(c => {
+      const v = exportValue(cfg, c, r);
+      return csvField(display ? cellText(c.fmt || c.key, v) : v, sep);
+    }).join(sep));
+  });
+  return lines.join("\n");
+}
+
+function tableToJSON(cfg, rows) {
+  return JSON.stringify(rows.map(r => {
+    const o = {};
+    cfg.cols.forEach(c => { o[c.group ? `${c.group}:${c.key}` : c.key] = exportValue(cfg, c, r); });
+    return o;
+  }), null, 2);
+}
+
+function orderPrice(p) {
+  if (p === null) return "";
+  return p >= 1 ? p.toFixed(2) : p.toFixed(4);
+}
+
+// side,symbol,qty,limit,stop,target; qty from sizer > record > empty (fill in by hand)
+// rows without numeric buy/SL, removed rows and invalid/gapped EDGE signals are left out
+function tableToOrders(rows, sizing, checks) {
+  const lines = ["side,symbol,qty,limit,stop,target"];
+  let skipped = 0;
+  rows.forEach(r => {
+    const status = checks?.get(r)?.status;
+    if (r.change === "entfernt" || status === "invalid" || status === "gap" || (!status && r.invalid_reason) ||
+        toNum(r.buy) === null || toNum(r.sl) === null) {
+      skipped += 1;
+      return;
+    }
+    let qty = "";
+    if (sizing) {
+      const sz = sizing.get(r);
+      if (!sz || !(sz.shares > 0)) return;
+      qty = String(sz.shares);
+    } else if (toNum(r.shares) !== null) {
+      qty = String(toNum(r.shares));
+    }
+    lines.push(["BUY", r.symbol ?? "", qty, orderPrice(toNum(r.buy)), orderPrice(toNum(r.sl)), orderPrice(toNum(r.tp))]
+      .map(v => csvField(v)).join(","));
+  });
+  return { text: lines.join("\n"), orders: lines.length - 1, skipped };
+}
+
+function exportSlug(s) {
+  return String(s || "").toLowerCase().replace(/[^a-z0-9._-]+/g, "-").replace(/^-+|-+$/g, "") || "x";
+}
+
+async function copyText(text) {
+  if (navigator.clipboard?.writeText) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+  const ta = document.createElement("textarea");
+  ta.value = text;
+  ta.style.position = "fixed";
+  ta.style.opacity = "0";
+  document.body.appendChild(ta);
+  ta.select();
+  const ok = document.execCommand("copy");
+  ta.remove();
+  if (!ok) throw new Error("Zwischenablage nicht verfügbar");
+}
+
+// ---------------------------------------------------------
+// Offline mode (service worker in sw.js, caches named "tkd-*")
+// ---------------------------------------------------------
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || !location.protocol.startsWith("http")) return;
+  navigator.serviceWorker.register("sw.js").catch(() => {
+    // offline mode is optional (e.g. private windows)
+  });
+}
+
+function ageText(iso) {
+  const ms = Date.now() - new Date(iso).getTime();
+  if (!Number.isFinite(ms)) return "?";
+  const min = Math.max(0, Math.round(ms / 60000));
+  if (min < 60) return `${min} Min.`;
+  if (min < 48 * 60) return `${Math.round(min / 60)} Std.`;
+  return `${Math.round(min / 1440)} Tagen`;
+}
+
+// " • 🟢 live" or " • 📦 Offline-Cache …" for the files behind the current table
+function dataSourceText(urls) {
+  const hits = urls.map(u => DATA_SOURCES.get(u)).filter(Boolean);
+  const cached = hits.filter(h => h.cached);
+  if (!cached.length) return hits.length ? " • 🟢 live" : "";
+  const oldest = cached.map(h => h.fetched).filter(Boolean).sort()[0];
+  return oldest
+    ? ` • 📦 Offline-Cache (geladen ${oldest.slice(0, 16).replace("T", " ")} UTC, vor ${ageText(oldest)})`
+    : " • 📦 Offline-Cache";
+}
+
+async function offlineCacheInfo() {
+  if (typeof caches === "undefined") return null;
+  let n = 0;
+  for (const name of (await caches.keys()).filter(k => k.startsWith("tkd-"))) {
+    n += (await (await caches.open(name)).keys()).length;
+  }
+  return n;
+}
+
+async function clearOfflineCache() {
+  if (typeof caches === "undefined") return 0;
+  const names = (await caches.keys()).filter(k => k.startsWith("tkd-"));
+  await Promise.all(names.map(n => caches.delete(n)));
+  return names.length;
+}
+
+// ---------------------------------------------------------
+// Auto-refresh: poll every strategy's latest.json while the tab is visible;
+// a changed generated/asof shows #refreshBanner (reload keeps the URL state)
+// ---------------------------------------------------------
+const REFRESH_STORAGE_KEY = "tkd.refresh.v1";
+const REFRESH_MIN_MINUTES = 1;
+const REFRESH_MAX_SYMBOLS = 8;
+const REFRESH_DEFAULTS = {
+  enabled: false,
+  minutes: 15,
+  notify: false, // browser notification on a new report
+};
+
+function loadRefreshSettings() {
+  const stored = storageGet(REFRESH_STORAGE_KEY, {});
+  const st = { ...REFRESH_DEFAULTS, ...(stored && typeof stored === "object" ? stored : {}) };
+  st.minutes = Math.max(REFRESH_MIN_MINUTES, toNum(st.minutes) ?? REFRESH_DEFAULTS.minutes);
+  return st;
+}
+
+function reportStamp(latest) {
+  return `${latest?.generated ?? ""}|${latest?.asof ?? ""}`;
+}
+
+// trade plan symbols added/removed between two archives
+function planChanges(cur, prev) {
+  const byKey = a => new Map((a?.data?.trade_plan || []).map(r => [rowKey(r), r.symbol]));
+  const now = byKey(cur);
+  const before = byKey(prev);
+  return {
+    added: [...now].filter(([k]) => !before.has(k)).map(([, sym]) => sym),
+    removed: [...before].filter(([k]) => !now.has(k)).map(([, sym]) => sym),
+  };
+}
+
+function symbolList(symbols) {
+  const head = symbols.slice(0, REFRESH_MAX_SYMBOLS).join(", ");
+  return symbols.length > REFRESH_MAX_SYMBOLS ? `${head} …` : head;
+}
+
+// reports: [{ name, latest, plan? }] -> one line per strategy
+function refreshSummary(reports) {
+  return reports.map(r => {
+    const parts = [`${r.name}: asof ${r.latest.asof ?? "–"} (generated ${r.latest.generated ?? "–"})`];
+    if (r.plan) {
+      const { added, removed } = r.plan;
+      if (!added.length && !removed.length) parts.push("Trade Plan unverändert");
+      if (added.length) parts.push(`Trade Plan +${added.length}: ${symbolList(added)}`);
+      if (removed.length) parts.push(`−${removed.length}: ${symbolList(removed)}`);
+    }
+    return parts.join(" • ");
+  });
+}
+
+// inputs carry data-refresh="<setting>"; poll() resolves to a status text for #refreshMsg
+function setupAutoRefresh({ poll }) {
+  const panel = document.getElementById("refreshPanel");
+  const toggleBtn = document.getElementById("refreshBtn");
+  const enabledEl = panel.querySelector('[data-refresh="enabled"]');
+  const minutesEl = panel.querySelector('[data-refresh="minutes"]');
+  const notifyEl = panel.querySelector('[data-refresh="notify"]');
+  const msgEl = document.getElementById("refreshMsg");
+  const settings = loadRefreshSettings();
+  const canNotify = typeof Notification !== "undefined";
+
+  let timer = null;
+  let running = false;
+  let lastCheck = Date.now(); // the page load counts as a check
+
+  function fill() {
+    enabledEl.checked = !!settings.enabled;
+    minutesEl.value = settings.minutes;
+    notifyEl.checked = !!settings.notify && canNotify && Notification.permission === "granted";
+    notifyEl.disabled = !canNotify;
+    toggleBtn.classList.toggle("active", !!settings.enabled);
+  }
+
+  // hidden tab: no timer; on return an overdue check runs right away
+  function schedule() {
+    clearTimeout(timer);
+    timer = null;
+    if (!settings.enabled || document.hidden) return;
+    const wait = Math.max(0, lastCheck + settings.minutes * 60000 - Date.now());
+    timer = setTimeout(checkNow, wait);
+  }
+
+  async function checkNow() {
+    if (running) return;
+    running = true;
+    let status;
+    try {
+      status = await poll();
+    } catch (e) {
+      status = `Prüfung fehlgeschlagen: ${e.message}`;
+    } finally {
+      running = false;
+      lastCheck = Date.now();
+    }
+    msgEl.textContent = `Zuletzt geprüft ${new Date(lastCheck).toTimeString().slice(0, 5)} • ${status}`;
+    schedule();
+  }
+
+  enabledEl.addEventListener("change", () => {
+    settings.enabled = enabledEl.checked;
+    storageSet(REFRESH_STORAGE_KEY, settings);
+    fill();
+    schedule();
+  });
+  minutesEl.addEventListener("change", () => {
+    settings.minutes = Math.max(REFRESH_MIN_MINUTES, toNum(minutesEl.value) ?? REFRESH_DEFAULTS.minutes);
+    storageSet(REFRESH_STORAGE_KEY, settings);
+    fill();
+    schedule();
+  });
+  notifyEl.addEventListener("change", async () => {
+    settings.notify = notifyEl.checked;
+    if (settings.notify && Notification.permission !== "granted") {
+      const perm = await Notification.requestPermission();
+      if (perm !== "granted") {
+        settings.notify = false;
+        msgEl.textContent = "Benachrichtigungen vom Browser nicht erlaubt.";
+      }
+    }
+    storageSet(REFRESH_STORAGE_KEY, settings);
+    fill();
+  });
+  document.getElementById("refreshCheck").addEventListener("click", checkNow);
+  document.addEventListener("visibilitychange", schedule);
+
+  toggleBtn.addEventListener("click", () => {
+    panel.hidden = !panel.hidden;
+  });
+
+  fill();
+  schedule();
+  return {
+    settings,
+    notify(title, body) {
+      if (!settings.notify || !canNotify || Notification.permission !== "granted") return;
+      try {
+        new Notification(title, { body, tag: "tkd-report" });
+      } catch {
+        // some mobile browsers only notify through the service worker
+      }
+    },
+  };
+}
+
+// ---------------------------------------------------------
+// Main
+// ---------------------------------------------------------
+async function main() {
+  registerServiceWorker();
+
+  const metaEl = document.getElementById("meta");
+  const linksEl = document.getElementById("links");
+  const thead = document.querySelector("#tbl thead");
+  const tbody = document.querySelector("#tbl tbody");
+
+  const strategySelect = document.getElementById("strategySelect");
+  const dateSelect = document.getElementById("dateSelect");
+  const compareSelect = document.getElementById("compareSelect");
+  const compareLabel = document.getElementById("compareLabel");
+  const universeSelect = document.getElementById("universeSelect");
+  const universeLabel = document.getElementById("universeLabel");
+  const rankFileSelect = document.getElementById("rankFileSelect");
+  const rankFileLabel = document.getElementById("rankFileLabel");
+  const viewSelect = document.getElementById("viewSelect");
+  const gateSelect = document.getElementById("gateSelect"); // optional
+  const search = document.getElementById("search");
+  const rankBasisSelect = document.getElementById("rankBasisSelect");
+  const rankLegend = document.getElementById("rankLegend");
+  const searchMsg = document.getElementById("searchMsg");
+  const searchFields = document.getElementById("searchFields");
+  const chartBtn = document.getElementById("chartBtn");
+  const chartPanel = document.getElementById("chartPanel");
+  const chartX = document.getElementById("chartX");
+  const chartY = document.getElementById("chartY");
+  const watchBtn = document.getElementById("watchBtn");
+  const healthBtn = document.getElementById("healthBtn");
+  const healthPanel = document.getElementById("healthPanel");
+  const healthList = document.getElementById("healthList");
+  const healthLagInput = document.getElementById("healthMaxLag");
+  const healthSettings = loadHealthSettings();
+  let healthPath = null; // archive path of the last check (re-run on setting changes)
+  const titleEl = document.getElementById("tableTitle");
+  const hintEl = document.getElementById("hint");
+
+  const drawer = document.getElementById("drawer");
+  const drawerBody = document.getElementById("drawerBody");
+
+  const defaultView = viewSelect.value;
+
+  let manifest;
+  try {
+    manifest = await loadJSON("data/manifest.json");
+  } catch (e) {
+    metaEl.textContent = `Manifest nicht ladbar: ${e.message}`;
+    return;
+  }
+
+  const strategies = manifest?.strategies || [];
+  if (!strategies.length) {
+    metaEl.textContent = "Keine Strategien in data/manifest.json definiert.";
+    return;
+  }
+
+  strategies.forEach(s => {
+    const opt = document.createElement("option");
+    opt.value = s.id;
+    opt.textContent = s.name || s.id;
+    opt.dataset.path = s.path; // latest.json
+    if (s.rankings_format) opt.dataset.rankingsFormat = s.rankings_format;
+    strategySelect.appendChild(opt);
+  });
+
+  let customGates = [];
+  let sizerSettings = SIZER_DEFAULTS;
+
+  let latest = null;
+  let meta = null; // optional meta.json next to latest.json (schema, stats_fields)
+  let overlay = null; // { index, findings } from latest.paths.overlay
+  let archive = null;
+  let archiveDates = [];
+
+  // Changes view: second archive + precomputed diff rows
+  let compareArchive = null;
+  let changeRows = [];
+
+  // archive days are immutable -> keep them per session
+  const archiveCache = new Map();
+
+  async function getArchive(path) {
+    if (!archiveCache.has(path)) archiveCache.set(path, normalizeArchive(await loadJSON(path)));
+    return archiveCache.get(path);
+  }
+
+  // Strategies view: latest archive of every manifest strategy (session cache)
+  let strategyRows = [];
+  let strategyErrors = [];
+  let strategyLoaded = [];
+
+  // Rankings view: per-universe files, cached per source list
+  let rankingRows = [];
+  let rankingErrors = [];
+  const rankingCache = new Map();
+
+  // percentile basis: universe populations from the ranking files (score), loaded on demand
+  let percentileFiles = null; // universe -> population; null = not loaded for this latest
+  let percentileErrors = [];
+
+  // render caches: stable cfg/pool objects keep the derived-value cache warm
+  const viewConfigs = new Map(); // view -> { statsFields, strategyCount, ranking, cfg }
+  const cfgFor = view => {
+    const statsFields = meta?.schema?.stats_fields;
+    const ranking = currentRanking();
+    const hit = viewConfigs.get(view);
+    if (hit && hit.statsFields === statsFields && hit.strategyCount === strategyLoaded.length && hit.ranking === ranking) return hit.cfg;
+    const cfg = withReliability(withRanking(buildViewConfig(view, {
+      statsFields,
+      strategies: strategyLoaded.map(x => ({ id: x.id, name: x.name })),
+    }), ranking));
+    viewConfigs.set(view, { statsFields, strategyCount: strategyLoaded.length, ranking, cfg });
+    return cfg;
+  };
+
+  // ranking basis: user choice (#rankBasisSelect, URL "rb") or the strategy's ranking.basis;
+  // bands: manifest entry over meta.json
+  let rankBasis = null;
+  function rankingConfig() {
+    const own = strategies.find(x => x.id === strategySelect.value)?.ranking || {};
+    const fromMeta = meta?.ranking || {};
+    return { ...fromMeta, ...own, bands: { ...fromMeta.bands, ...own.bands } };
+  }
+  let legendRanking = null;
+  function syncRankControls(ranking) {
+    if (ranking === legendRanking) return;
+    legendRanking = ranking;
+    rankBasisSelect.value = ranking.basis;
+    renderRankLegend(rankLegend, ranking);
+    storageSet(RANK_LEGEND_KEY, {
+      strategy: (strategySelect.selectedOptions[0]?.textContent || "").trim(),
+      label: ranking.label,
+      bands: ranking.bands.map(b => ({ cls: b.cls, label: b.label })),
+    });
+  }
+  function strategyRankBasis() {
+    const basis = rankingConfig().basis;
+    return RANK_BASES[basis] ? basis : "score";
+  }
+  // meta + strategy id only key the cache (rankingConfig reads them)
+  const rankingFor = memoLast((basis, _meta, _strategy) => rankingSpec(basis, rankingConfig()));
+  function currentRanking() {
+    return rankingFor(rankBasis || strategyRankBasis(), meta, strategySelect.value);
+  }
+  const poolFor = memoLast(columnPool);
+  const rankingsFor = memoLast((rows, u) => (u ? rows.filter(r => r.universe === u) : rows));
+  const archiveScoreRows = memoLast(a => OVERLAY_LISTS.flatMap(l => a?.data?.[l] || []));
+  // ranking-file population per universe; universes without a file fall back to the rows themselves
+  const populationFor = memoLast((rows, files) => {
+    const pop = percentilePopulation(rows, r => normalizeStats(r.stats)?.score ?? null);
+    files?.forEach((filePop, u) => pop.set(u, filePop));
+    return pop;
+  });
+  const gatesFor = memoLast((rows, preset) => {
+    const gateMap = new Map();
+    const passed = [];
+    rows.forEach(r => {
+      const gate = evalGate(r, preset);
+      gateMap.set(r, gate);
+      if (gate.pass) passed.push(r);
+    });
+    return { gateMap, passed };
+  });
+  const queryGated = incrementalQuery();
+  const queryAll = incrementalQuery();
+
+  // detail drawer: selected universe:symbol + rows of the last render (for lookup)
+  let selectedKey = null;
+  let renderedRows = [];
+  let renderedGates = new Map();
+  let renderedCfg = null;
+  let renderedSizing = null;
+  let renderedChecks = null; // EDGE check results of the last render
+  const ordersBtn = document.querySelector('#exportMenu [data-export="orders"]');
+  let renderedBaseCfg = null;
+  let renderedPool = null;
+  let renderedQueried = []; // query-filtered, before the gate filter (universe chart)
+  let renderedGateOn = false;
+  const tableWrap = document.getElementById("tableWrap");
+  const perfEl = document.getElementById("perf");
+  let bodyRows = [];
+  let rowHeight = VIRTUAL_ROW_HEIGHT; // estimate until the first row is measured
+  let paintedRange = null;
+  const columnLayouts = loadColumnLayouts();
+  const watchlist = loadWatchlist();
+  let watchOnly = false;
+  const journal = setupJournal();
+  const exposureEl = document.getElementById("exposure");
+  const exposureSettings = setupExposure({ onChange: () => render() });
+  const edgeChecker = setupEdgeCheck({
+    getSymbols: () => new Set(pickRowsFromArchive(archive, "edge").map(r => String(r.symbol || "").toUpperCase())),
+    getAsof: () => archive?.asof || "",
+    onChange: () => render(),
+  });
+  const columnChooser = setupColumnChooser({
+    menu: document.getElementById("columnMenu"),
+    getState: () => ({
+      cfg: renderedBaseCfg,
+      pool: renderedPool,
+      layouts: columnLayouts,
+      key: columnLayoutKey(strategySelect.value, viewSelect.value),
+    }),
+    onChange: () => render(),
+  });
+  let detailToken = 0;
+
+  // keep sort per view
+  const sortByView = {
+    active: null, edge: null, trade_plan: null, position_plan: null, changes: null, rankings: null, strategies: null,
+  };
+
+  // ---- auto-refresh ----
+  // last seen generated|asof per strategy id; loading a strategy sets its baseline
+  const seenReports = new Map();
+  let pendingReports = []; // [{ id, name, latest, archive, plan }] not yet reloaded
+  const refreshBanner = document.getElementById("refreshBanner");
+  const refreshText = document.getElementById("refreshText");
+  const autoRefresh = setupAutoRefresh({ poll: checkReports });
+
+  async function checkReports() {
+    const results = await Promise.allSettled(strategies.map(s => loadJSON(s.path)));
+    const found = [];
+    for (const [i, res] of results.entries()) {
+      if (res.status !== "fulfilled") continue;
+      const s = strategies[i];
+      const stamp = reportStamp(res.value);
+      if (!seenReports.has(s.id)) {
+        seenReports.set(s.id, stamp);
+        continue;
+      }
+      if (stamp === seenReports.get(s.id)) continue;
+      seenReports.set(s.id, stamp);
+
+      // plan diff only for the strategy on screen: new archive vs. the loaded latest day
+      const report = { id: s.id, name: s.name || s.id, latest: res.value, archive: null, plan: null };
+      if (s.id === strategySelect.value && latest && res.value.paths?.archive) {
+        try {
+          report.archive = normalizeArchive(await loadJSON(res.value.paths.archive));
+          report.plan = planChanges(report.archive, await getArchive(archivePathFor(latest, latest.asof)));
+        } catch {
+          // banner without the plan summary
+        }
+      }
+      found.push(report);
+    }
 
-  let manifest;
-  try {
-    manifest = await loadJSON("data/manifest.json");
-  } catch (e) {
-    metaEl.textContent = `Manifest nicht ladbar: ${e.message}`;
-    return;
+    if (found.length) {
+      pendingReports = [...pendingReports.filter(p => !found.some(f => f.id === p.id)), ...found];
+      showRefreshBanner();
+      autoRefresh.notify("TKTrading: neuer Report", refreshSummary(found).join("\n"));
+    }
+    const failed = results.filter(r => r.status === "rejected").length;
+    const parts = [found.length ? `${found.length} neue(r) Report(s)` : "kein neuer Report"];
+    if (failed) parts.push(`${failed} nicht erreichbar`);
+    return parts.join(" • ");
   }
 
-  const strategies = manifest?.strategies || [];
-  if (!strategies.length) {
-    metaEl.textContent = "Keine Strategien in data/manifest.json definiert.";
-    return;
+  function showRefreshBanner() {
+    clearEl(refreshText);
+    refreshSummary(pendingReports).forEach(line => {
+      const div = document.createElement("div");
+      div.textContent = line;
+      refreshText.appendChild(div);
+    });
+    refreshBanner.hidden = !pendingReports.length;
   }
 
-  strategies.forEach(s => {
-    const opt = document.createElement("option");
-    opt.value = s.id;
-    opt.textContent = s.name || s.id;
-    opt.dataset.path = s.path; // latest.json
-    strategySelect.appendChild(opt);
-  });
+  // new days replace cached archives (a re-run can keep the same asof path);
+  // the URL state brings view, gate, filter and sort back
+  async function reloadReports() {
+    const reports = pendingReports;
+    pendingReports = [];
+    showRefreshBanner();
+    reports.forEach(p => {
+      const path = archivePathFor(p.latest, p.latest.asof);
+      if (p.archive) archiveCache.set(path, p.archive);
+      else archiveCache.delete(path);
+    });
+    strategyLoaded = [];
+    strategyRows = [];
 
-  let latest = null;
-  let archive = null;
+    if (reports.some(p => p.id === strategySelect.value)) {
+      const params = urlState();
+      latest = null;
+      await restoreState(params);
+    } else {
+      await prepareView();
+      render();
+    }
+  }
 
-  // keep sort per view
-  const sortByView = { active: null, edge: null, trade_plan: null, position_plan: null };
+  document.getElementById("refreshReload").addEventListener("click", reloadReports);
+  document.getElementById("refreshDismiss").addEventListener("click", () => {
+    pendingReports = [];
+    showRefreshBanner();
+  });
 
-  async function loadStrategy() {
+  // opts (from deep links): { date, compare, universe }
+  async function loadStrategy(opts = {}) {
     const sel = strategySelect.selectedOptions[0];
     const latestPath = sel?.dataset?.path;
     if (!latestPath) return;
@@ -509,116 +4228,980 @@ async function main() {
     metaEl.textContent = "Lade Report …";
     clearEl(linksEl);
     clearEl(thead);
-    clearEl(tbody);
+    clearBody();
+    clearEl(dateSelect);
+    clearEl(compareSelect);
+    clearEl(universeSelect);
     titleEl.textContent = "Loading…";
     hintEl.textContent = "";
 
     latest = null;
+    meta = null;
     archive = null;
+    rankingCache.clear();
+    percentileFiles = null;
 
     try {
       latest = await loadJSON(latestPath);
     } catch (e) {
       metaEl.textContent = `Report nicht ladbar (${latestPath}): ${e.message}`;
+      renderHealth(healthList, healthBtn, [{ level: "error", text: `latest.json nicht ladbar: ${e.message}` }]);
       return;
     }
 
-    const archivePath = latest?.paths?.archive;
-    if (!archivePath) {
+    try {
+      meta = await loadJSON(metaPathFor(latestPath));
+    } catch {
+      meta = null; // optional
+    }
+
+    seenReports.set(strategySelect.value, reportStamp(latest));
+    if (pendingReports.some(p => p.id === strategySelect.value)) {
+      pendingReports = pendingReports.filter(p => p.id !== strategySelect.value);
+      showRefreshBanner();
+    }
+
+    // optional events overlay, merged into every archive day of this strategy
+    overlay = null;
+    const overlayPath = latest.paths?.overlay;
+    if (overlayPath) {
+      try {
+        overlay = buildOverlayIndex(await loadTable(overlayPath), overlayPath);
+      } catch (e) {
+        overlay = { index: null, findings: [{ level: "warn", text: `Overlay nicht ladbar (${overlayPath}): ${e.message}` }] };
+      }
+    }
+
+    [["", "Alle"], ...(latest.universes || []).map(u => [u, u])].forEach(([value, label]) => {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = label;
+      universeSelect.appendChild(opt);
+    });
+
+    if (!latest?.paths?.archive) {
       metaEl.textContent = `latest.json hat keinen paths.archive: ${latestPath}`;
+      showHealth(null);
       return;
     }
 
+    archiveDates = await loadArchiveIndex(latest);
+    archiveDates.forEach(d => {
+      const label = d === latest.asof ? `${d} (latest)` : d;
+      [dateSelect, compareSelect].forEach(selEl => {
+        const opt = document.createElement("option");
+        opt.value = d;
+        opt.textContent = label;
+        selEl.appendChild(opt);
+      });
+    });
+    dateSelect.value = hasOption(dateSelect, opts.date) ? opts.date : (latest.asof || archiveDates[0] || "");
+
+    await loadArchive(opts);
+  }
+
+  async function loadArchive(opts = {}) {
+    if (!latest) return;
+    const sel = strategySelect.selectedOptions[0];
+    const date = dateSelect.value || latest.asof;
+    const archivePath = date ? archivePathFor(latest, date) : latest.paths.archive;
+
+    metaEl.textContent = `Lade Archiv ${date || ""} …`;
+    metaEl.classList.remove("historic");
+    clearBody();
+    archive = null;
+
     try {
-      archive = await loadJSON(archivePath);
+      archive = applyOverlay(await getArchive(archivePath), overlay?.index);
     } catch (e) {
       metaEl.textContent = `Archive nicht ladbar (${archivePath}): ${e.message}`;
+      showHealth(archivePath);
       return;
     }
+    showHealth(archivePath);
 
     const asof = archive?.asof ?? latest?.asof ?? "–";
     const strat = archive?.strategy ?? latest?.strategy ?? sel?.value ?? "–";
     const gen = archive?.generated ?? latest?.generated ?? "–";
-    metaEl.textContent = `asof: ${asof} • strategy: ${strat} • generated: ${gen}`;
+    const historic = !!latest?.asof && asof !== latest.asof;
+    const source = dataSourceText([sel?.dataset?.path, archivePath]);
+    metaEl.textContent = historic
+      ? `⏪ Historischer Stand — asof: ${asof} (latest: ${latest.asof}) • strategy: ${strat} • generated: ${gen}${source}`
+      : `asof: ${asof} • strategy: ${strat} • generated: ${gen}${source}`;
+    metaEl.classList.toggle("historic", historic);
+    metaEl.classList.toggle("cached", source.includes("Offline"));
 
-    buildLinks(linksEl, latest);
+    buildLinks(linksEl, latest, archivePath);
+
+    compareSelect.value = defaultCompare(date);
+    applyViewOpts(opts);
 
     // init default sort for current view
     const view = viewSelect.value;
-    const cfg = buildViewConfig(view);
+    const cfg = cfgFor(view);
     if (!sortByView[view]) sortByView[view] = cfg.defaultSort;
 
+    await prepareView();
     render();
   }
 
+  // compare default: previous trading day in the index; empty for the oldest day (never the day itself)
+  function defaultCompare(date) {
+    return archiveDates[archiveDates.indexOf(date) + 1] ?? "";
+  }
+
+  function applyViewOpts(opts) {
+    if (hasOption(compareSelect, opts.compare)) compareSelect.value = opts.compare;
+    if (hasOption(universeSelect, opts.universe)) universeSelect.value = opts.universe;
+  }
+
+  function syncViewControls() {
+    const view = viewSelect.value;
+    compareLabel.hidden = view !== "changes";
+    universeLabel.hidden = view !== "rankings";
+    rankFileLabel.hidden = view !== "rankings";
+  }
+
+  // view-specific data that does not live in the archive
+  async function prepareView() {
+    syncViewControls();
+    await loadCompare();
+    await loadRankings();
+    await loadStrategies();
+    await loadPercentiles();
+  }
+
+  async function loadStrategies() {
+    if (viewSelect.value !== "strategies" || strategyLoaded.length) return;
+    strategyErrors = [];
+
+    const results = await Promise.allSettled(strategies.map(async s => {
+      const lt = await loadJSON(s.path);
+      if (!lt?.paths?.archive) throw new Error("latest.json hat keinen paths.archive");
+      if (!seenReports.has(s.id)) seenReports.set(s.id, reportStamp(lt));
+      return { id: s.id, name: s.name || s.id, archive: await getArchive(lt.paths.archive) };
+    }));
+    results.forEach((res, i) => {
+      if (res.status === "fulfilled") strategyLoaded.push(res.value);
+      else strategyErrors.push(`${strategies[i].name || strategies[i].id}: ${res.reason?.message || res.reason}`);
+    });
+    strategyRows = mergeStrategies(strategyLoaded);
+  }
+
+  async function loadRankings() {
+    rankingRows = [];
+    rankingErrors = [];
+    if (viewSelect.value !== "rankings" || !latest) return;
+    if (!latest.paths?.rankings_dir) {
+      rankingErrors.push("latest.json hat keinen paths.rankings_dir");
+      return;
+    }
+
+    const basis = rankFileSelect.value;
+    const fields = meta?.schema?.stats_fields || DEFAULT_STATS_FIELDS;
+    const signals = signalIndex(archive);
+    const formatHint = latest.paths.rankings_format || strategySelect.selectedOptions[0]?.dataset?.rankingsFormat;
+
+    const results = await Promise.allSettled((latest.universes || []).map(async u => {
+      const sources = rankingSources(latest, u, basis, formatHint);
+      const key = sources.join("|");
+      if (!rankingCache.has(key)) rankingCache.set(key, await loadRankingTable(sources));
+      return rankingRowsFromTable(rankingCache.get(key), u, fields, signals, basis);
+    }));
+    results.forEach((res, i) => {
+      if (res.status === "fulfilled") rankingRows.push(...res.value);
+      else rankingErrors.push(`${latest.universes[i]}: ${res.reason?.message || res.reason}`);
+    });
+  }
+
+  async function loadPercentiles() {
+    if (percentileFiles || !latest || currentRanking().basis !== "percentile") return;
+    const lt = latest;
+    const files = new Map();
+    const errors = [];
+    if (!lt.paths?.rankings_dir) errors.push("latest.json hat keinen paths.rankings_dir");
+    else {
+      const formatHint = lt.paths.rankings_format || strategySelect.selectedOptions[0]?.dataset?.rankingsFormat;
+      const results = await Promise.allSettled((lt.universes || []).map(async u => {
+        const sources = rankingSources(lt, u, "score", formatHint);
+        const key = sources.join("|");
+        if (!rankingCache.has(key)) rankingCache.set(key, await loadRankingTable(sources));
+        return rankingCache.get(key);
+      }));
+      results.forEach((res, i) => {
+        const u = lt.universes[i];
+        const pop = res.status === "fulfilled"
+          ? percentilePopulation(res.value.map(r => ({ ...r, universe: u })), r => toNum(r.score)).get(u)
+          : null;
+        if (pop) files.set(u, pop);
+        else errors.push(`${u}: ${res.status === "fulfilled" ? "keine Scores in der Ranking-Datei" : res.reason?.message || res.reason}`);
+      });
+    }
+    if (lt !== latest) return; // strategy switched while loading
+    percentileFiles = files;
+    percentileErrors = errors;
+    showHealth(healthPath);
+  }
+
+  // percentile basis: population sources and too-small populations of the archive day
+  function percentileHealth() {
+    if (!archive || currentRanking().basis !== "percentile" || !percentileFiles) return [];
+    const sources = new Map([...percentileFiles.keys()].map(u => [u, "Ranking-Datei"]));
+    return [
+      ...percentileErrors.map(e => ({ level: "info", text: `Perzentil aus dem Archiv-Tag statt Ranking-Datei – ${e}` })),
+      ...percentileFindings(populationFor(archiveScoreRows(archive), percentileFiles), sources),
+    ];
+  }
+
+  async function loadCompare() {
+    compareArchive = null;
+    changeRows = [];
+    if (viewSelect.value !== "changes" || !archive || !compareSelect.value) return;
+    if (compareSelect.value === dateSelect.value) {
+      hintEl.textContent = "Vergleichstag ist der gewählte Stand – bitte einen anderen Tag wählen.";
+      return;
+    }
+
+    const path = archivePathFor(latest, compareSelect.value);
+    try {
+      compareArchive = applyOverlay(await getArchive(path), overlay?.index);
+    } catch (e) {
+      hintEl.textContent = `Vergleichsarchiv nicht ladbar (${path}): ${e.message}`;
+      return;
+    }
+    changeRows = diffArchives(archive, compareArchive);
+  }
+
   function onSort(key) {
     const view = viewSelect.value;
-    const cfg = buildViewConfig(view);
+    const cfg = cfgFor(view);
     const cur = sortByView[view] || cfg.defaultSort;
 
     let dir = "desc";
     if (cur?.key === key) dir = cur.dir === "desc" ? "asc" : "desc";
     sortByView[view] = { key, dir };
     render();
+    syncUrl();
+  }
+
+  // ---- deep links ----
+  let restoring = false;
+
+  function urlState() {
+    const st = new URLSearchParams();
+    const view = viewSelect.value;
+    st.set("s", strategySelect.value);
+    if (latest && dateSelect.value && dateSelect.value !== latest.asof) st.set("d", dateSelect.value);
+    st.set("v", view);
+    if (gateSelect && gateSelect.value !== "off") st.set("g", gateSelect.value);
+    if (search.value) st.set("q", search.value);
+    if (watchOnly) st.set("w", "1");
+    if (rankBasis) st.set("rb", rankBasis);
+
+    const sorts = encodeSorts(sortByView, v => cfgFor(v).defaultSort);
+    if (sorts) st.set("sort", sorts);
+
+    if (view === "changes" && compareSelect.value) {
+      const idx = archiveDates.indexOf(dateSelect.value);
+      if (compareSelect.value !== archiveDates[idx + 1]) st.set("c", compareSelect.value);
+    }
+    if (view === "rankings") {
+      if (universeSelect.value) st.set("u", universeSelect.value);
+      if (rankFileSelect.value !== "score") st.set("rf", rankFileSelect.value);
+    }
+    if (selectedKey) st.set("sym", selectedKey);
+    return st;
+  }
+
+  // push for discrete changes (back/forward steps), replace for typing
+  function syncUrl(mode = "push") {
+    if (restoring) return;
+    const hash = `#${urlState().toString()}`;
+    if (hash === location.hash) return;
+    if (mode === "push") history.pushState(null, "", hash);
+    else history.replaceState(null, "", hash);
+  }
+
+  async function restoreState(params) {
+    restoring = true;
+    try {
+      const strat = params.get("s");
+      const stratChanged = !latest || (hasOption(strategySelect, strat) && strat !== strategySelect.value);
+      if (hasOption(strategySelect, strat)) strategySelect.value = strat;
+
+      const view = params.get("v");
+      viewSelect.value = hasOption(viewSelect, view) ? view : defaultView;
+      if (gateSelect) {
+        const gate = params.get("g");
+        gateSelect.value = hasOption(gateSelect, gate) ? gate : "off";
+      }
+      search.value = params.get("q") || "";
+      watchOnly = params.get("w") === "1";
+      watchBtn.classList.toggle("active", watchOnly);
+      const rb = params.get("rb");
+      rankBasis = RANK_BASES[rb] ? rb : null;
+      const rf = params.get("rf");
+      rankFileSelect.value = hasOption(rankFileSelect, rf) ? rf : "score";
+
+      const sorts = decodeSorts(params.get("sort"));
+      Object.keys(sortByView).forEach(v => { sortByView[v] = sorts[v] || null; });
+
+      const opts = { date: params.get("d"), compare: params.get("c"), universe: params.get("u") || "" };
+      const wantDate = hasOption(dateSelect, opts.date) ? opts.date : latest?.asof;
+
+      hintEl.textContent = "";
+      if (stratChanged) {
+        await loadStrategy(opts);
+      } else if (wantDate !== dateSelect.value) {
+        dateSelect.value = wantDate;
+        await loadArchive(opts);
+      } else {
+        compareSelect.value = defaultCompare(dateSelect.value);
+        universeSelect.value = "";
+        applyViewOpts(opts);
+        const cfg = cfgFor(viewSelect.value);
+        if (!sortByView[viewSelect.value]) sortByView[viewSelect.value] = cfg.defaultSort;
+        await prepareView();
+        render();
+      }
+      openDetailByKey(params.get("sym"));
+    } finally {
+      restoring = false;
+    }
   }
 
   function render() {
     if (!archive) return;
+    const t0 = performance.now();
 
     const view = viewSelect.value;
-    const cfg = buildViewConfig(view);
+    const baseCfg = cfgFor(view);
+    syncRankControls(baseCfg.ranking);
 
-    if (!sortByView[view]) sortByView[view] = cfg.defaultSort;
+    if (!sortByView[view]) sortByView[view] = baseCfg.defaultSort;
+
+    const stratName = (strategySelect.selectedOptions[0]?.textContent || "").trim();
+    const dayTag = view !== "strategies" && archive.asof && archive.asof !== latest?.asof ? ` (Archiv ${archive.asof})` : "";
+    titleEl.textContent = view === "strategies" ? baseCfg.title : `${stratName} — ${baseCfg.title}${dayTag}`;
 
-    titleEl.textContent = `${(strategySelect.selectedOptions[0]?.textContent || "").trim()} — ${cfg.title}`;
+    if (view === "changes" && !compareArchive) {
+      titleEl.textContent = `${stratName} — ${baseCfg.title}`;
+      clearEl(thead);
+      clearBody();
+      if (!hintEl.textContent) {
+        hintEl.textContent = compareSelect.value || defaultCompare(dateSelect.value)
+          ? "Kein Vergleichsstand gewählt."
+          : "Kein älterer Archiv-Tag vorhanden – Changes braucht mindestens zwei Stände.";
+      }
+      return;
+    }
 
-    const rowsAll = pickRowsFromArchive(archive, view);
+    let rowsAll;
+    if (view === "changes") rowsAll = changeRows;
+    else if (view === "strategies") rowsAll = strategyRows;
+    else if (view === "rankings") {
+      rowsAll = rankingsFor(rankingRows, universeSelect.value);
+    } else rowsAll = pickRowsFromArchive(archive, view);
 
-    // 1) gates evaluate (defensive: controls may not exist)
-    const preset = gateSelect ? gatePreset(gateSelect.value) : null;
-    const evaluated = rowsAll.map(r => ({ row: r, gate: evalGate(r, preset) }));
+    // percentile basis: universe ranking files (this strategy); Strategies view ranks its own rows
+    if (baseCfg.ranking.basis === "percentile") {
+      const rows = view === "rankings" ? rankingRows
+        : view === "changes" || view === "strategies" ? rowsAll
+        : archiveScoreRows(archive);
+      rankPercentiles(rows, rows, populationFor(rows, view === "strategies" ? null : percentileFiles));
+    }
 
-    // map for tooltips
-    const gateMap = new Map();
-    evaluated.forEach(x => gateMap.set(x.row, x.gate));
+    // column layout first: extra columns bring their renderers for sorting
+    renderedPool = poolFor(baseCfg, rowsAll, meta?.schema?.stats_fields);
+    renderedBaseCfg = baseCfg;
+    const cfg = applyColumnLayout(baseCfg, renderedPool, columnLayouts[columnLayoutKey(strategySelect.value, view)]);
+
+    // 1) gates evaluate (defensive: controls may not exist)
+    // (cached while rows + gate stay the same, e.g. while typing a filter)
+    const preset = gateSelect ? gatePreset(gateSelect.value, customGates) : null;
+    const { gateMap, passed } = gatesFor(rowsAll, preset);
 
     // 2) gate filter:
     // - Wenn Gate "Off" (preset=null): nichts filtern
     // - Sonst: nur Gate-Pass anzeigen
-    const gateFiltered = preset
-      ? evaluated.filter(x => x.gate.pass).map(x => x.row)
-      : evaluated.map(x => x.row);
-    
-    // 3) search filter
-    const textFiltered = applyTextFilter(gateFiltered, search.value);
+    const gateFiltered = preset ? passed : rowsAll;
+    const tGate = performance.now();
+
+    // 3) search filter (query language; bad terms are reported and skipped)
+    const fields = queryFields(renderedPool);
+    const query = parseQuery(search.value, fields.map);
+    searchMsg.textContent = query.errors.length ? `Filter: ${query.errors.join(" • ")}` : "";
+    fillQuerySuggestions(searchFields, search.value, fields.names);
+    const watched = r => isWatched(watchlist[watchKey(strategySelect.value, r)]);
+    const onlyWatched = rows => (watchOnly ? rows.filter(watched) : rows);
+    const textFiltered = onlyWatched(queryGated(gateFiltered, query, cfg, renderedPool));
+    renderedQueried = preset ? onlyWatched(queryAll(rowsAll, query, cfg, renderedPool)) : textFiltered;
+    renderedGateOn = !!preset;
+
+    // EDGE check: max signal age + today's open per row (its columns sort like any other)
+    const edgeOn = edgeChecker.settings.enabled && EDGE_VIEWS.has(view);
+    const checkRows = edgeOn ? textFiltered.filter(r => edgeAgeOk(r, edgeChecker.settings.maxAge)) : textFiltered;
+    const checks = edgeOn ? new Map(checkRows.map(r => [r, edgeCheck(r, edgeChecker.openFor(r))])) : null;
+    const sortCfg = checks ? withEdgeColumns(cfg, checks, edgeOpenInput) : cfg;
+    const tFilter = performance.now();
 
     // 4) sorting
-    const sorted = sortRows(textFiltered, sortByView[view], cfg, cfg.tieBreak);
+    const sorted = sortRows(checkRows, sortByView[view], sortCfg, cfg.tieBreak);
+    const tSort = performance.now();
+
+    // 5) optional sizing in the final order (its columns are not sortable)
+    const sizing = sizerSettings.enabled && SIZER_VIEWS.has(view) ? allocatePositions(sorted, sizerSettings, exposureSettings) : null;
+    const viewCfg = withCurrencyLabels(sizing ? withSizerColumns(sortCfg, sizing, exposureSettings.base) : sortCfg, sorted);
+
+    exposureEl.hidden = !EXPOSURE_VIEWS.has(view);
+    if (!exposureEl.hidden) {
+      renderExposure(document.getElementById("exposureBody"), exposureSummary(sorted, { sizing, settings: exposureSettings }), exposureSettings);
+    }
 
     hintEl.textContent = `Anzahl: ${sorted.length} (von ${rowsAll.length})`;
+    if (watchOnly) hintEl.textContent += " • nur Watchlist";
+    if (sizing) hintEl.textContent += ` • ${sizingSummary(sizing, exposureSettings.base)}`;
+    if (checks) {
+      hintEl.textContent += ` • ${edgeSummary(checks)}`;
+      if (edgeChecker.settings.maxAge !== null) hintEl.textContent += ` • Signalalter ≤ ${edgeChecker.settings.maxAge}`;
+    }
+    if (view === "changes") {
+      const n = c => rowsAll.filter(r => r.change === c).length;
+      hintEl.textContent += ` • ${archive.asof} vs ${compareArchive.asof}: +${n("neu")} neu, −${n("entfernt")} entfernt, ${n("geändert")} geändert`;
+    }
+    if (view === "strategies") {
+      const multi = rowsAll.filter(r => r.flagged > 1).length;
+      hintEl.textContent += ` • ${strategyLoaded.length} Strategie(n), jeweils latest • ${multi} Symbol(e) in mehreren Strategien`;
+      if (strategyErrors.length) hintEl.textContent += ` • Fehler: ${strategyErrors.join(" | ")}`;
+    }
+    if (view === "rankings") {
+      hintEl.textContent += ` • Ranking nach ${rankFileSelect.selectedOptions[0]?.textContent || rankFileSelect.value} (aktueller Backtest, unabhängig vom Stand)`;
+      if (rankingErrors.length) hintEl.textContent += ` • Fehler: ${rankingErrors.join(" | ")}`;
+    }
+
+    setTableHeader(thead, viewCfg, sortByView[view], onSort);
+
+    renderedRows = sorted;
+    renderedGates = gateMap;
+    renderedCfg = viewCfg;
+    renderedSizing = sizing;
+    renderedChecks = checks;
+    ordersBtn.hidden = !ORDER_VIEWS.has(view);
+
+    columnChooser.refresh();
+    drawCharts();
+
+    bodyRows = sorted;
+    paintBody(true);
+
+    const ms = (a, b) => (b - a).toFixed(1);
+    const tEnd = performance.now();
+    const inDom = tbody.querySelectorAll("tr[data-key]").length;
+    perfEl.textContent = `⏱ ${ms(t0, tEnd)} ms (Gates ${ms(t0, tGate)} • Filter ${ms(tGate, tFilter)} • Sortierung ${ms(tFilter, tSort)} • Anzeige ${ms(tSort, tEnd)}) • ${inDom} von ${sorted.length} Zeilen im DOM`;
+  }
+
+  // ---- table body: up to VIRTUAL_MIN_ROWS rows all at once, above that only
+  // the visible window (+ overscan) between two spacer rows of the scroll box ----
+  function bodyRow(r) {
+    const gateInfo = renderedGates.get(r) || null;
+    const key = watchKey(strategySelect.value, r);
+    const tr = renderRow(r, renderedCfg, gateInfo, {
+      entry: watchlist[key] || null,
+      onStar: () => {
+        updateWatch(watchlist, key, { star: !watchlist[key]?.star });
+        render();
+        if (selectedKey === symbolKey(r)) refreshWatchForm(r);
+      },
+    });
+    tr.dataset.key = symbolKey(r);
+    if (selectedKey && tr.dataset.key === selectedKey) tr.classList.add("selected");
+    tr.addEventListener("click", () => {
+      openDetail(r, gateInfo);
+      syncUrl();
+    });
+    return tr;
+  }
+
+  // Open cell of the EDGE check; re-render after the change event so Tab
+  // can move on first, then give the focus back to the same row's input
+  function edgeOpenInput(row) {
+    const input = document.createElement("input");
+    input.type = "number";
+    input.step = "any";
+    input.min = "0";
+    input.className = "edge-open";
+    input.dataset.key = symbolKey(row);
+    input.value = edgeChecker.openFor(row) ?? "";
+    input.addEventListener("click", e => e.stopPropagation());
+    input.addEventListener("change", () => {
+      edgeChecker.setOpen(row, toNum(input.value));
+      setTimeout(() => {
+        const active = document.activeElement;
+        const key = active?.classList.contains("edge-open") ? active.dataset.key : null;
+        render();
+        if (key) [...tbody.querySelectorAll("input.edge-open")].find(el => el.dataset.key === key)?.focus();
+      });
+    });
+    return input;
+  }
+
+  function clearBody() {
+    bodyRows = [];
+    paintedRange = null;
+    tableWrap.classList.remove("virtual");
+    clearEl(tbody);
+  }
+
+  function spacerRow(height) {
+    const tr = document.createElement("tr");
+    tr.className = "spacer";
+    const td = document.createElement("td");
+    td.colSpan = Math.max(1, renderedCfg.cols.length);
+    td.style.height = `${height}px`;
+    tr.appendChild(td);
+    return tr;
+  }
+
+  function paintBody(force) {
+    const n = bodyRows.length;
+    const virtual = n > VIRTUAL_MIN_ROWS;
+    tableWrap.classList.toggle("virtual", virtual);
+    if (!virtual) {
+      if (!force) return;
+      paintedRange = null;
+      clearEl(tbody);
+      bodyRows.forEach(r => tbody.appendChild(bodyRow(r)));
+      return;
+    }
 
-    setTableHeader(thead, cfg, sortByView[view], onSort);
+    const viewH = tableWrap.clientHeight || rowHeight * VIRTUAL_FALLBACK_ROWS;
+    const top = Math.min(tableWrap.scrollTop, Math.max(0, n * rowHeight - viewH));
+    const first = Math.max(0, Math.floor(top / rowHeight) - VIRTUAL_OVERSCAN);
+    const last = Math.min(n, Math.ceil((top + viewH) / rowHeight) + VIRTUAL_OVERSCAN);
+    if (!force && paintedRange && paintedRange[0] === first && paintedRange[1] === last) return;
+    paintedRange = [first, last];
 
     clearEl(tbody);
-    sorted.forEach(r => {
-      const gateInfo = gateMap.get(r) || null;
-      tbody.appendChild(renderRow(r, cfg, gateInfo));
+    if (first) tbody.appendChild(spacerRow(first * rowHeight));
+    for (let i = first; i < last; i++) tbody.appendChild(bodyRow(bodyRows[i]));
+    if (last < n) tbody.appendChild(spacerRow((n - last) * rowHeight));
+
+    // real row height (font, badges) replaces the estimate once
+    const h = tbody.querySelector("tr[data-key]")?.getBoundingClientRect().height;
+    if (h && Math.abs(h - rowHeight) > 0.5) {
+      rowHeight = h;
+      paintBody(true);
+    }
+  }
+
+  async function openDetail(row, gateInfo) {
+    selectedKey = symbolKey(row);
+    drawer.hidden = false;
+    tbody.querySelectorAll("tr[data-key]").forEach(tr => {
+      tr.classList.toggle("selected", tr.dataset.key === selectedKey);
+    });
+
+    markChartSelection();
+
+    const histEl = renderDetail(drawerBody, row, {
+      statsFields: meta?.schema?.stats_fields, gateInfo, watchEl: watchForm(row), ranking: currentRanking(),
+    });
+
+    // history over all archive days (cached after first open)
+    const token = ++detailToken;
+    const results = await Promise.allSettled(archiveDates.map(d => getArchive(archivePathFor(latest, d))));
+    if (token !== detailToken) return;
+
+    const archives = results.filter(r => r.status === "fulfilled").map(r => r.value);
+    const failed = results.length - archives.length;
+    const entries = symbolHistory(archives, row.universe, row.symbol);
+
+    clearEl(histEl);
+    const h = document.createElement("h3");
+    h.textContent = `Historie (Archiv) — ${entries.length} von ${archiveDates.length} Tagen`;
+    histEl.appendChild(h);
+    if (entries.length) histEl.appendChild(historyTable(entries));
+    if (failed) {
+      const p = document.createElement("p");
+      p.className = "hint";
+      p.textContent = `${failed} Archiv-Tag(e) nicht ladbar.`;
+      histEl.appendChild(p);
+    }
+  }
+
+  function watchForm(row) {
+    const key = watchKey(strategySelect.value, row);
+    const box = watchSection(watchlist[key], patch => {
+      updateWatch(watchlist, key, patch);
+      render();
+      refreshWatchForm(row);
+    });
+
+    // journal entry prefilled from plan/candidate rows (needs entry + SL)
+    if (SIZER_VIEWS.has(viewSelect.value) && toNum(row.buy) !== null && toNum(row.sl) !== null) {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "btn btn-small";
+      btn.textContent = journal.has(strategySelect.value, row) ? "📓 Erneut ins Journal" : "📓 Ins Journal übernehmen";
+      btn.addEventListener("click", () => {
+        const sz = renderedSizing?.get(row);
+        journal.addFromRow(row, { strategy: strategySelect.value, asof: archive?.asof, shares: sz?.shares || null });
+      });
+      box.querySelector(".panel-row").appendChild(btn);
+    }
+    return box;
+  }
+
+  function refreshWatchForm(row) {
+    drawerBody.querySelector(".watch-form")?.replaceWith(watchForm(row));
+  }
+
+  function closeDetail() {
+    if (drawer.hidden) return;
+    drawer.hidden = true;
+    selectedKey = null;
+    detailToken++;
+    tbody.querySelectorAll("tr.selected").forEach(tr => tr.classList.remove("selected"));
+    markChartSelection();
+  }
+
+  // ---- charts (only drawn while the panel is open) ----
+  function fillChartAxes() {
+    const numeric = (renderedPool?.cols || []).filter(c => c.numeric && !c.key.startsWith("sz_"));
+    const keys = numeric.map(c => c.key).join(",");
+    if (chartX.dataset.keys === keys) return;
+    const prev = [chartX.value || "score", chartY.value || "meanR"];
+    [chartX, chartY].forEach((sel, i) => {
+      clearEl(sel);
+      numeric.forEach(c => {
+        const opt = document.createElement("option");
+        opt.value = c.key;
+        opt.textContent = c.group ? `${c.group} ${c.label}` : c.label;
+        sel.appendChild(opt);
+      });
+      sel.dataset.keys = keys;
+      sel.value = hasOption(sel, prev[i]) ? prev[i] : (numeric[i] || numeric[0])?.key ?? "";
+    });
+  }
+
+  function drawCharts() {
+    if (chartPanel.hidden || !renderedCfg) return;
+    fillChartAxes();
+    const cfg = renderedCfg;
+    const label = sel => sel.selectedOptions[0]?.textContent || sel.value;
+    const num = (r, key) => toNum(queryValue(r, key, cfg));
+    const tradesOf = r => toNum(normalizeStats(r.stats)?.trades) ?? num(r, "trades");
+
+    // scatter
+    const pts = [];
+    const maxTrades = Math.max(1, ...renderedRows.map(r => tradesOf(r) ?? 0));
+    renderedRows.forEach(r => {
+      const x = num(r, chartX.value);
+      const y = num(r, chartY.value);
+      if (x === null || y === null) return;
+      const ranking = renderedCfg?.ranking || DEFAULT_RANKING;
+      pts.push({
+        x, y, row: r,
+        size: (tradesOf(r) ?? 0) / maxTrades,
+        cls: rankBand(ranking, ranking.value(r)).cls,
+        key: symbolKey(r),
+        title: `${r.universe ?? ""}:${r.symbol ?? ""} — ${label(chartX)} ${cellText(chartX.value, x)}, ${label(chartY)} ${cellText(chartY.value, y)}, Trades ${tradesOf(r) ?? "–"}`,
+      });
+    });
+    const scatterEl = document.getElementById("chartScatter");
+    clearEl(scatterEl);
+    scatterEl.appendChild(scatterChart(pts, {
+      xLabel: label(chartX),
+      yLabel: label(chartY),
+      onPick: p => {
+        openDetail(p.row, renderedGates.get(p.row) || null);
+        syncUrl();
+      },
+    }));
+
+    // universe × gate
+    const byUniverse = new Map();
+    renderedQueried.forEach(r => {
+      const u = r.universe ?? "–";
+      const g = byUniverse.get(u) || { label: u, pass: 0, fail: 0 };
+      if (!renderedGateOn || renderedGates.get(r)?.pass) g.pass++;
+      else g.fail++;
+      byUniverse.set(u, g);
+    });
+    const uniEl = document.getElementById("chartUniverse");
+    clearEl(uniEl);
+    uniEl.appendChild(stackedBarChart([...byUniverse.values()].sort((a, b) => a.label.localeCompare(b.label)), {
+      yLabel: "Zeilen",
+      showFail: renderedGateOn,
+    }));
+
+    // histograms
+    const histEl = document.getElementById("chartHist");
+    clearEl(histEl);
+    const riskOf = renderedSizing ? r => renderedSizing.get(r)?.risk || null : r => toNum(r.risk_usd);
+    [
+      [renderedRows.map(r => computeRR(r)), "RR"],
+      [renderedRows.map(r => toNum(r.signal_age_days)), "signal_age_days"],
+      [renderedRows.map(riskOf), renderedSizing ? "Risk$ (Sizing)" : "risk_usd"],
+    ].forEach(([vals, name]) => {
+      const box = document.createElement("div");
+      box.appendChild(histogramChart(vals.filter(v => v !== null && Number.isFinite(v)), name));
+      histEl.appendChild(box);
+    });
+    markChartSelection();
+  }
+
+  function markChartSelection() {
+    chartPanel.querySelectorAll("circle.dot").forEach(c => {
+      c.classList.toggle("selected", !!selectedKey && c.dataset.key === selectedKey);
     });
   }
 
-  strategySelect.addEventListener("change", loadStrategy);
+  // deep link / back-forward: reopen by key, current view first, then any archive list
+  function openDetailByKey(key) {
+    if (!key) {
+      closeDetail();
+      return;
+    }
+    const hit = renderedRows.find(r => symbolKey(r) === key) ||
+      DIFF_LISTS.map(([list]) => (archive?.data?.[list] || []).find(r => symbolKey(r) === key)).find(Boolean);
+    if (hit) openDetail(hit, renderedGates.get(hit) || null);
+    else closeDetail();
+  }
+
+  strategySelect.addEventListener("change", async () => {
+    await loadStrategy();
+    syncUrl();
+  });
+  dateSelect.addEventListener("change", async () => {
+    hintEl.textContent = "";
+    await loadArchive();
+    syncUrl();
+  });
 
-  viewSelect.addEventListener("change", () => {
+  viewSelect.addEventListener("change", async () => {
     const view = viewSelect.value;
-    const cfg = buildViewConfig(view);
+    const cfg = cfgFor(view);
     if (!sortByView[view]) sortByView[view] = cfg.defaultSort;
+    hintEl.textContent = "";
+    await prepareView();
+    render();
+    syncUrl();
+  });
+
+  universeSelect.addEventListener("change", () => {
+    render();
+    syncUrl();
+  });
+  rankFileSelect.addEventListener("change", async () => {
+    // rank order comes from the file -> reset to rank asc
+    sortByView.rankings = cfgFor("rankings").defaultSort;
+    await loadRankings();
+    render();
+    syncUrl();
+  });
+
+  compareSelect.addEventListener("change", async () => {
+    hintEl.textContent = "";
+    await loadCompare();
+    render();
+    syncUrl();
+  });
+
+  if (gateSelect) {
+    gateSelect.addEventListener("change", () => {
+      render();
+      syncUrl();
+      if (latest) showHealth(healthPath); // overlay note depends on the gate
+    });
+    customGates = setupGateEditor({
+      gateSelect,
+      getStatsFields: () => meta?.schema?.stats_fields,
+      onChange: gates => {
+        customGates = gates;
+        render();
+        syncUrl("replace");
+      },
+    });
+  }
+  // typing only re-renders after a short pause; Enter applies at once
+  const searchRender = debounce(() => {
+    render();
+    syncUrl("replace");
+  }, SEARCH_DEBOUNCE_MS);
+  search.addEventListener("input", () => searchRender());
+
+  // default sorts that followed the old basis follow the new one
+  rankBasisSelect.addEventListener("change", async () => {
+    Object.keys(sortByView).forEach(v => {
+      const def = cfgFor(v).defaultSort;
+      const cur = sortByView[v];
+      if (cur && def && cur.key === def.key && cur.dir === def.dir) sortByView[v] = null;
+    });
+    rankBasis = rankBasisSelect.value === strategyRankBasis() ? null : rankBasisSelect.value;
+    await loadPercentiles();
+    render();
+    syncUrl();
+    if (latest) showHealth(healthPath); // percentile notes depend on the basis
+  });
+  search.addEventListener("keydown", e => {
+    if (e.key === "Enter") searchRender.flush();
+  });
+
+  let scrollFrame = 0;
+  const repaintWindow = () => {
+    if (scrollFrame || !tableWrap.classList.contains("virtual")) return;
+    scrollFrame = requestAnimationFrame(() => {
+      scrollFrame = 0;
+      paintBody(false);
+    });
+  };
+  tableWrap.addEventListener("scroll", repaintWindow);
+  window.addEventListener("resize", repaintWindow);
+
+  sizerSettings = setupSizer({
+    onChange: st => {
+      sizerSettings = st;
+      render();
+    },
+  });
+
+  document.getElementById("drawerClose").addEventListener("click", () => {
+    closeDetail();
+    syncUrl();
+  });
+  document.addEventListener("keydown", e => {
+    if (e.key === "Escape" && !drawer.hidden) {
+      closeDetail();
+      syncUrl();
+    }
+  });
+
+  // ---- export menu ----
+  const exportMenu = document.getElementById("exportMenu");
+  const exportMsg = document.getElementById("exportMsg");
+
+  function exportBaseName() {
+    const gate = gateSelect?.value.startsWith("custom:")
+      ? gateSelect.selectedOptions[0]?.textContent
+      : gateSelect?.value || "off";
+    const asof = viewSelect.value === "rankings" ? latest?.asof : archive?.asof;
+    return [strategySelect.value, viewSelect.value, gate, asof].map(exportSlug).join("_");
+  }
+
+  async function runExport(kind) {
+    exportMenu.open = false;
+    if (!renderedCfg) return;
+    const base = exportBaseName();
+    try {
+      if (kind === "csv") downloadText(`${base}.csv`, tableToCSV(renderedCfg, renderedRows), "text/csv");
+      else if (kind === "json") downloadText(`${base}.json`, tableToJSON(renderedCfg, renderedRows), "application/json");
+      else if (kind === "tsv") {
+        await copyText(tableToCSV(renderedCfg, renderedRows, "\t", true));
+        exportMsg.textContent = `${renderedRows.length} Zeilen als TSV kopiert.`;
+        return;
+      } else if (kind === "orders") {
+        if (!ORDER_VIEWS.has(viewSelect.value)) return;
+        const orders = tableToOrders(renderedRows, renderedSizing, renderedChecks);
+        downloadText(`${base}_orders.csv`, orders.text, "text/csv");
+        exportMsg.textContent = `${orders.orders} Order(s)` +
+          (orders.skipped ? `, ${orders.skipped} Zeile(n) ohne gültiges Setup ausgelassen.` : ".");
+        return;
+      }
+      exportMsg.textContent = "";
+    } catch (e) {
+      exportMsg.textContent = `Export fehlgeschlagen: ${e.message}`;
+    }
+  }
+
+  exportMenu.querySelectorAll("[data-export]").forEach(btn => {
+    btn.addEventListener("click", () => runExport(btn.dataset.export));
+  });
+
+  // ---- watchlist ----
+  watchBtn.addEventListener("click", () => {
+    watchOnly = !watchOnly;
+    watchBtn.classList.toggle("active", watchOnly);
     render();
+    syncUrl();
+  });
+
+  document.getElementById("watchExport").addEventListener("click", () => {
+    exportMenu.open = false;
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadText(`tkd_watchlist_${stamp}.json`, JSON.stringify({ version: 1, watchlist }, null, 2), "application/json");
+    exportMsg.textContent = `${Object.keys(watchlist).length} Watchlist-Einträge exportiert.`;
+  });
+
+  document.getElementById("watchImport").addEventListener("change", async e => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    exportMenu.open = false;
+    if (!file) return;
+    try {
+      const data = JSON.parse(await readFileText(file));
+      const n = mergeWatchlists(watchlist, data?.watchlist ?? data);
+      exportMsg.textContent = `${n} Watchlist-Einträge importiert.`;
+      render();
+    } catch (err) {
+      exportMsg.textContent = `Import fehlgeschlagen: ${err.message}`;
+    }
+  });
+
+  chartBtn.addEventListener("click", () => {
+    chartPanel.hidden = !chartPanel.hidden;
+    chartBtn.classList.toggle("active", !chartPanel.hidden);
+    drawCharts();
+  });
+  [chartX, chartY].forEach(sel => sel.addEventListener("change", drawCharts));
+
+  const cacheInfo = document.getElementById("cacheInfo");
+  async function showCacheInfo() {
+    const n = await offlineCacheInfo();
+    cacheInfo.textContent = n === null ? "Offline-Modus in diesem Browser nicht verfügbar." : `${n} Datei(en) im Offline-Cache.`;
+  }
+
+  // findings for the current latest/archive; overlay and ranking notes only with a loaded archive
+  function showHealth(archivePath) {
+    healthPath = archivePath;
+    const maxLag = healthMaxLag(meta, healthSettings);
+    healthLagInput.placeholder = String(healthMaxLag(meta, {}));
+    renderHealth(healthList, healthBtn, [
+      ...checkDataHealth({ latest, meta, archive, archivePath, maxLag }),
+      ...(archive ? overlay?.findings || [] : []),
+      ...(archive && !overlay?.index && [gatePreset(gateSelect?.value, customGates), ...customGates].some(g => gateUsesField(g, "hold_events"))
+        ? [{
+          level: "info",
+          text: "Gate-Regel „Events im Haltefenster“ nicht anwendbar: kein Overlay geladen (paths.overlay) – die Regel wird übersprungen.",
+        }]
+        : []),
+      ...(archive ? rankingFindings(rankingConfig()) : []),
+      ...percentileHealth(),
+    ]);
+  }
+
+  healthLagInput.value = healthSettings.maxLagDays ?? "";
+  healthLagInput.addEventListener("input", () => {
+    const n = toNum(healthLagInput.value);
+    healthSettings.maxLagDays = n !== null && n >= 0 ? n : null;
+    storageSet(HEALTH_STORAGE_KEY, healthSettings);
+    if (latest) showHealth(healthPath);
+  });
+
+  healthBtn.addEventListener("click", () => {
+    healthPanel.hidden = !healthPanel.hidden;
+    if (!healthPanel.hidden) showCacheInfo();
+  });
+
+  document.getElementById("cacheClear").addEventListener("click", async () => {
+    await clearOfflineCache();
+    await showCacheInfo();
   });
 
-  if (gateSelect) gateSelect.addEventListener("change", render);
-  search.addEventListener("input", render);
+  window.addEventListener("popstate", () => restoreState(readHashParams()));
 
-  await loadStrategy();
+  await restoreState(readHashParams());
+  syncUrl("replace");
 }
 
 main();
@@ -0,0 +1,396 @@
+// assets/parquet.js
+// Minimal Parquet reader (static, no dependencies)
+// - flat schemas only (required/optional columns, no nested/repeated)
+// - codecs: UNCOMPRESSED, SNAPPY
+// - encodings: PLAIN, PLAIN_DICTIONARY/RLE_DICTIONARY, RLE (def levels + booleans)
+// - pages: DATA_PAGE (v1), DATA_PAGE_V2, DICTIONARY_PAGE
+// parseParquet(arrayBuffer) -> [{ col: value, ... }] (same shape as parseCSV rows)
+
+const PQ_TYPE = { BOOLEAN: 0, INT32: 1, INT64: 2, INT96: 3, FLOAT: 4, DOUBLE: 5, BYTE_ARRAY: 6, FIXED_LEN_BYTE_ARRAY: 7 };
+const PQ_CODEC = { 0: "UNCOMPRESSED", 1: "SNAPPY", 2: "GZIP", 3: "LZO", 4: "BROTLI", 5: "LZ4", 6: "ZSTD", 7: "LZ4_RAW" };
+const PQ_PAGE = { DATA: 0, DICTIONARY: 2, DATA_V2: 3 };
+const PQ_CONVERTED_UTF8 = 0;
+const PQ_CONVERTED_DATE = 6;
+
+// ---------------------------------------------------------
+// Thrift compact protocol (structs come back as { fieldId: value })
+// ---------------------------------------------------------
+class ThriftReader {
+  constructor(bytes, pos = 0) {
+    this.bytes = bytes;
+    this.pos = pos;
+  }
+
+  byte() {
+    if (this.pos >= this.bytes.length) throw new Error("thrift: unexpected end of data");
+    return this.bytes[this.pos++];
+  }
+
+  varint() {
+    // Number arithmetic (not bit ops) so values above 2^31 survive
+    let result = 0;
+    let mul = 1;
+    for (;;) {
+      const b = this.byte();
+      result += (b & 0x7f) * mul;
+      if (!(b & 0x80)) return result;
+      mul *= 128;
+    }
+  }
+
+  zigzag() {
+    const n = this.varint();
+    return n % 2 === 0 ? n / 2 : -(n + 1) / 2;
+  }
+
+  binary() {
+    const len = this.varint();
+    const out = this.bytes.subarray(this.pos, this.pos + len);
+    this.pos += len;
+    return out;
+  }
+
+  value(type) {
+    switch (type) {
+      case 1: return true;
+      case 2: return false;
+      case 3: return (this.byte() << 24) >> 24;
+      case 4:
+      case 5:
+      case 6: return this.zigzag();
+      case 7: {
+        const dv = new DataView(this.bytes.buffer, this.bytes.byteOffset + this.pos, 8);
+        this.pos += 8;
+        return dv.getFloat64(0, true);
+      }
+      case 8: return this.binary();
+      case 9:
+      case 10: return this.list();
+      case 11: return this.map();
+      case 12: return this.struct();
+      default: throw new Error(`thrift: unknown type ${type}`);
+    }
+  }
+
+  list() {
+    const head = this.byte();
+    let size = head >> 4;
+    const type = head & 0x0f;
+    if (size === 15) size = this.varint();
+    const out = new Array(size);
+    for (let i = 0; i < size; i++) out[i] = type === 1 || type === 2 ? this.byte() === 1 : this.value(type);
+    return out;
+  }
+
+  map() {
+    const size = this.varint();
+    const out = new Map();
+    if (!size) return out;
+    const types = this.byte();
+    for (let i = 0; i < size; i++) {
+      const k = this.value(types >> 4);
+      out.set(k, this.value(types & 0x0f));
+    }
+    return out;
+  }
+
+  struct() {
+    const out = {};
+    let fid = 0;
+    for (;;) {
+      const head = this.byte();
+      if (head === 0) return out;
+      const delta = head >> 4;
+      const type = head & 0x0f;
+      fid = delta ? fid + delta : this.zigzag();
+      out[fid] = this.value(type);
+    }
+  }
+}
+
+const pqText = new TextDecoder("utf-8");
+
+// ---------------------------------------------------------
+// Snappy (raw block format, as used inside Parquet pages)
+// ---------------------------------------------------------
+function snappyDecompress(src) {
+  let pos = 0;
+  let outLen = 0;
+  let mul = 1;
+  for (;;) {
+    const b = src[pos++];
+    outLen += (b & 0x7f) * mul;
+    if (!(b & 0x80)) break;
+    mul *= 128;
+  }
+
+  const out = new Uint8Array(outLen);
+  let op = 0;
+  while (pos < src.length) {
+    const tag = src[pos++];
+    const kind = tag & 3;
+
+    if (kind === 0) {
+      let len = tag >> 2;
+      if (len >= 60) {
+        const n = len - 59;
+        len = 0;
+        for (let i = 0; i < n; i++) len |= src[pos++] << (8 * i);
+      }
+      len += 1;
+      out.set(src.subarray(pos, pos + len), op);
+      pos += len;
+      op += len;
+      continue;
+    }
+
+    let len;
+    let offset;
+    if (kind === 1) {
+      len = ((tag >> 2) & 7) + 4;
+      offset = ((tag >> 5) << 8) | src[pos++];
+    } else if (kind === 2) {
+      len = (tag >> 2) + 1;
+      offset = src[pos] | (src[pos + 1] << 8);
+      pos += 2;
+    } else {
+      len = (tag >> 2) + 1;
+      offset = (src[pos] | (src[pos + 1] << 8) | (src[pos + 2] << 16) | (src[pos + 3] << 24)) >>> 0;
+      pos += 4;
+    }
+    if (!offset || offset > op) throw new Error("snappy: invalid copy offset");
+    // byte-wise: copies may overlap their own output
+    for (let i = 0; i < len; i++, op++) out[op] = out[op - offset];
+  }
+  if (op !== outLen) throw new Error(`snappy: expected ${outLen} bytes, got ${op}`);
+  return out;
+}
+
+function pqDecompress(bytes, codec, uncompressedSize) {
+  if (codec === 0) return bytes;
+  if (codec === 1) return snappyDecompress(bytes);
+  throw new Error(`codec ${PQ_CODEC[codec] || codec} nicht unterstützt (nur UNCOMPRESSED/SNAPPY), ${uncompressedSize} bytes`);
+}
+
+// ---------------------------------------------------------
+// Encodings
+// ---------------------------------------------------------
+function pqBitWidth(maxValue) {
+  let w = 0;
+  while ((1 << w) - 1 < maxValue) w++;
+  return w;
+}
+
+// RLE / bit-packed hybrid; reads `count` values from bytes[pos..end)
+function pqReadHybrid(bytes, pos, end, bitWidth, count) {
+  const out = new Array(count);
+  const byteWidth = Math.ceil(bitWidth / 8);
+  let n = 0;
+
+  while (n < count && pos < end) {
+    let header = 0;
+    let mul = 1;
+    for (;;) {
+      const b = bytes[pos++];
+      header += (b & 0x7f) * mul;
+      if (!(b & 0x80)) break;
+      mul *= 128;
+    }
+
+    if (header & 1) {
+      // bit-packed: groups of 8 values, LSB first
+      const total = Math.floor(header / 2) * 8;
+      let bitPos = 0;
+      for (let i = 0; i < total && n < count; i++) {
+        let v = 0;
+        for (let b = 0; b < bitWidth; b++, bitPos++) {
+          const byte = bytes[pos + (bitPos >> 3)];
+          if (byte & (1 << (bitPos & 7))) v |= 1 << b;
+        }
+        out[n++] = v;
+      }
+      pos += Math.floor(header / 2) * bitWidth;
+    } else {
+      const run = Math.floor(header / 2);
+      let v = 0;
+      for (let i = 0; i < byteWidth; i++) v |= bytes[pos++] << (8 * i);
+      for (let i = 0; i < run && n < count; i++) out[n++] = v;
+    }
+  }
+  if (n < count) throw new Error(`RLE: expected ${count} values, got ${n}`);
+  return out;
+}
+
+function pqReadPlain(bytes, type, count, col) {
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const out = new Array(count);
+  let pos = 0;
+
+  switch (type) {
+    case PQ_TYPE.BOOLEAN:
+      for (let i = 0; i < count; i++) out[i] = !!(bytes[i >> 3] & (1 << (i & 7)));
+      return out;
+    case PQ_TYPE.INT32:
+      for (let i = 0; i < count; i++, pos += 4) out[i] = dv.getInt32(pos, true);
+      return out;
+    case PQ_TYPE.INT64:
+      for (let i = 0; i < count; i++, pos += 8) out[i] = Number(dv.getBigInt64(pos, true));
+      return out;
+    case PQ_TYPE.FLOAT:
+      for (let i = 0; i < count; i++, pos += 4) out[i] = dv.getFloat32(pos, true);
+      return out;
+    case PQ_TYPE.DOUBLE:
+      for (let i = 0; i < count; i++, pos += 8) out[i] = dv.getFloat64(pos, true);
+      return out;
+    case PQ_TYPE.BYTE_ARRAY:
+      for (let i = 0; i < count; i++) {
+        const len = dv.getInt32(pos, true);
+        pos += 4;
+        out[i] = pqText.decode(bytes.subarray(pos, pos + len));
+        pos += len;
+      }
+      return out;
+    case PQ_TYPE.FIXED_LEN_BYTE_ARRAY:
+      for (let i = 0; i < count; i++, pos += col.typeLength) out[i] = bytes.slice(pos, pos + col.typeLength);
+      return out;
+    default:
+      throw new Error(`Spalte ${col.name}: Typ ${type} nicht unterstützt`);
+  }
+}
+
+function pqConvert(v, col) {
+  if (v === null) return null;
+  if (col.convertedType === PQ_CONVERTED_DATE && typeof v === "number") {
+    return new Date(v * 86400000).toISOString().slice(0, 10);
+  }
+  return v;
+}
+
+// ---------------------------------------------------------
+// Column chunks
+// ---------------------------------------------------------
+function pqReadColumnChunk(bytes, meta, col) {
+  const codec = meta[4];
+  const numValues = meta[5];
+  const dictOffset = meta[11];
+  const dataOffset = meta[9];
+
+  let pos = dictOffset !== undefined && dictOffset > 0 && dictOffset < dataOffset ? dictOffset : dataOffset;
+  let dictionary = null;
+  const values = [];
+
+  while (values.length < numValues) {
+    const tr = new ThriftReader(bytes, pos);
+    const header = tr.struct();
+    const pageType = header[1];
+    const uncompressedSize = header[2];
+    const compressedSize = header[3];
+    const pageStart = tr.pos;
+    const raw = bytes.subarray(pageStart, pageStart + compressedSize);
+    pos = pageStart + compressedSize;
+
+    if (pageType === PQ_PAGE.DICTIONARY) {
+      const dh = header[7];
+      const page = pqDecompress(raw, codec, uncompressedSize);
+      dictionary = pqReadPlain(page, col.type, dh[1], col);
+      continue;
+    }
+
+    let count;
+    let encoding;
+    let defs = null;
+    let body;
+
+    if (pageType === PQ_PAGE.DATA) {
+      const dh = header[5];
+      count = dh[1];
+      encoding = dh[2];
+      const page = pqDecompress(raw, codec, uncompressedSize);
+      let p = 0;
+      if (col.optional) {
+        const len = new DataView(page.buffer, page.byteOffset + p, 4).getInt32(0, true);
+        p += 4;
+        defs = pqReadHybrid(page, p, p + len, 1, count);
+        p += len;
+      }
+      body = page.subarray(p);
+    } else if (pageType === PQ_PAGE.DATA_V2) {
+      const dh = header[8];
+      count = dh[1];
+      encoding = dh[4];
+      const defLen = dh[5] || 0;
+      const repLen = dh[6] || 0;
+      if (col.optional) defs = pqReadHybrid(raw, repLen, repLen + defLen, 1, count);
+      const rest = raw.subarray(repLen + defLen);
+      const compressed = dh[7] !== false;
+      body = compressed ? pqDecompress(rest, codec, uncompressedSize - repLen - defLen) : rest;
+    } else {
+      // index pages etc.
+      continue;
+    }
+
+    const present = defs ? defs.reduce((n, d) => n + d, 0) : count;
+    let decoded;
+    if (encoding === 2 || encoding === 8) {
+      if (!dictionary) throw new Error(`Spalte ${col.name}: Dictionary-Page fehlt`);
+      const idx = present ? pqReadHybrid(body, 1, body.length, body[0], present) : [];
+      decoded = idx.map(i => dictionary[i]);
+    } else if (encoding === 0) {
+      decoded = pqReadPlain(body, col.type, present, col);
+    } else if (encoding === 3 && col.type === PQ_TYPE.BOOLEAN) {
+      const len = new DataView(body.buffer, body.byteOffset, 4).getInt32(0, true);
+      decoded = pqReadHybrid(body, 4, 4 + len, 1, present).map(v => v === 1);
+    } else {
+      throw new Error(`Spalte ${col.name}: Encoding ${encoding} nicht unterstützt`);
+    }
+
+    if (defs) {
+      let j = 0;
+      for (let i = 0; i < count; i++) values.push(defs[i] ? pqConvert(decoded[j++], col) : null);
+    } else {
+      for (let i = 0; i < count; i++) values.push(pqConvert(decoded[i], col));
+    }
+  }
+  return values;
+}
+
+function parseParquet(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const magic = pqText.decode(bytes.subarray(0, 4));
+  const tail = pqText.decode(bytes.subarray(bytes.length - 4));
+  if (magic !== "PAR1" || tail !== "PAR1") throw new Error("keine Parquet-Datei (PAR1 magic fehlt)");
+
+  const footerLen = new DataView(buffer, bytes.length - 8, 4).getInt32(0, true);
+  const footerStart = bytes.length - 8 - footerLen;
+  if (footerStart < 4) throw new Error("ungültige Footer-Länge");
+  const fileMeta = new ThriftReader(bytes, footerStart).struct();
+
+  // schema[0] is the root; flat files have one leaf per column
+  const schema = fileMeta[2] || [];
+  const leaves = schema.slice(1).map(el => {
+    if (el[5]) throw new Error(`verschachtelte Spalte ${pqText.decode(el[4])} nicht unterstützt`);
+    return {
+      name: pqText.decode(el[4]),
+      type: el[1],
+      typeLength: el[2],
+      optional: el[3] === 1,
+      convertedType: el[6],
+    };
+  });
+  leaves.forEach(col => {
+    if (col.type === PQ_TYPE.INT96) throw new Error(`Spalte ${col.name}: INT96 nicht unterstützt`);
+    if (col.convertedType === undefined && col.type === PQ_TYPE.BYTE_ARRAY) col.convertedType = PQ_CONVERTED_UTF8;
+  });
+
+  const rows = [];
+  (fileMeta[4] || []).forEach(rg => {
+    const numRows = rg[3];
+    const columns = rg[1].map((chunk, i) => pqReadColumnChunk(bytes, chunk[3], leaves[i]));
+    for (let r = 0; r < numRows; r++) {
+      const row = {};
+      leaves.forEach((col, i) => { row[col.name] = columns[i][r] ?? null; });
+      rows.push(row);
+    }
+  });
+  return rows;
+}
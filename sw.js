@@ -0,0 +1,67 @@
+// sw.js
+// TKTrading Dashboard service worker (offline mode)
+// - precaches the app shell + manifest on install
+// - every same-origin GET goes to the network first (fresh data wins, the page's
+//   cache: "no-store" is kept so the HTTP cache never answers); good responses
+//   are copied into the cache, which only answers when the network fails
+// - cached answers carry x-tkd-source: cache and x-tkd-fetched (time of the network copy)
+
+const CACHE = "tkd-v1";
+const SHELL = [
+  "./",
+  "index.html",
+  "help.html",
+  "assets/style.css",
+  "assets/parquet.js",
+  "assets/app.js",
+  "data/manifest.json",
+];
+
+async function withHeaders(res, extra) {
+  const headers = new Headers(res.headers);
+  Object.entries(extra).forEach(([k, v]) => headers.set(k, v));
+  return new Response(await res.blob(), { status: res.status, statusText: res.statusText, headers });
+}
+
+async function store(cache, key, res) {
+  await cache.put(key, await withHeaders(res, { "x-tkd-fetched": new Date().toISOString() }));
+}
+
+self.addEventListener("install", event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE);
+    await Promise.allSettled(SHELL.map(async url => {
+      const res = await fetch(url, { cache: "no-store" });
+      if (res.ok) await store(cache, url, res);
+    }));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(n => n.startsWith("tkd-") && n !== CACHE).map(n => caches.delete(n)));
+    await self.clients.claim();
+  })());
+});
+
+async function networkFirst(event) {
+  const req = event.request;
+  const cache = await caches.open(CACHE);
+  try {
+    const res = await fetch(req);
+    if (res.ok) event.waitUntil(store(cache, req, res.clone()));
+    return res;
+  } catch (err) {
+    const hit = await cache.match(req, { ignoreSearch: true });
+    if (!hit) throw err;
+    return withHeaders(hit, { "x-tkd-source": "cache" });
+  }
+}
+
+self.addEventListener("fetch", event => {
+  const req = event.request;
+  if (req.method !== "GET" || new URL(req.url).origin !== self.location.origin) return;
+  event.respondWith(networkFirst(event));
+});